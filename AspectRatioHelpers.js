@@ -0,0 +1,175 @@
+/**
+ * @typedef {import('./types.js').DecodedImage} DecodedImage
+ * @typedef {import('./types.js').PixelAspectRatio} PixelAspectRatio
+ * @typedef {import('./types.js').AspectRatioCorrectionOptions} AspectRatioCorrectionOptions
+ */
+
+
+/**
+ * Determines the shape of the pixels of a decoded image. IFF images store the
+ * aspect ratio in their header, or can be inferred from the Amiga hires and
+ * lace flags. Atari ST formats that store their resolution have tall pixels in
+ * medium resolution and square pixels otherwise. For any other image, if it's
+ * more than twice as wide as it is tall its pixels are assumed to be half as
+ * wide as they are tall.
+ *
+ * @param {ImageData} imageData - The decoded image
+ * @param {object} [meta] - The image metadata
+ * @returns {PixelAspectRatio} The width and height of a pixel
+ */
+export const getPixelAspectRatio = (imageData, meta = {}) => {
+  const {
+    xAspectRatio,
+    yAspectRatio,
+    amigaHires,
+    amigaLace,
+    resolution
+  } = meta;
+
+  if (xAspectRatio && yAspectRatio) {
+    return { x: xAspectRatio, y: yAspectRatio };
+  }
+
+  if (amigaHires !== undefined || amigaLace !== undefined) {
+    if (amigaHires && !amigaLace) {
+      return { x: 1, y: 2 };
+    }
+    if (amigaLace && !amigaHires) {
+      return { x: 2, y: 1 };
+    }
+    return { x: 1, y: 1 };
+  }
+
+  if (resolution !== undefined) {
+    return resolution === 1 ? { x: 1, y: 2 } : { x: 1, y: 1 };
+  }
+
+  if (imageData.width > imageData.height * 2) {
+    return { x: 1, y: 2 };
+  }
+
+  return { x: 1, y: 1 };
+};
+
+
+/**
+ * Scales a decoded image so its pixels are displayed with the correct shape.
+ * By default, lines or columns are repeated a whole number of times. If the
+ * `filter` option is set, the image is scaled by the exact pixel aspect ratio
+ * using bilinear filtering.
+ *
+ * The scale factors that were applied are stored in `meta.xScale` and
+ * `meta.yScale`.
+ *
+ * @param {DecodedImage} image - The result of a decoder
+ * @param {AspectRatioCorrectionOptions} [options] - The scaling options
+ * @returns {DecodedImage} The scaled image and metadata
+ */
+export const correctAspectRatio = (image, options = {}) => {
+  const { filter = false } = options;
+  const { imageData, meta = {} } = image;
+  const { width, height } = imageData;
+  const { x, y } = getPixelAspectRatio(imageData, meta);
+
+  // Wide pixels are corrected by scaling horizontally and tall pixels by
+  // scaling vertically, so the image is never reduced in size.
+  let xScale = Math.max(1, x / y);
+  let yScale = Math.max(1, y / x);
+
+  if (!filter) {
+    xScale = Math.round(xScale);
+    yScale = Math.round(yScale);
+  }
+
+  const scaledWidth = Math.round(width * xScale);
+  const scaledHeight = Math.round(height * yScale);
+  let scaledImageData = imageData;
+
+  if (scaledWidth !== width || scaledHeight !== height) {
+    if (filter) {
+      scaledImageData = scaleBilinear(imageData, scaledWidth, scaledHeight);
+    } else {
+      scaledImageData = scaleNearest(imageData, scaledWidth, scaledHeight);
+    }
+  }
+
+  return {
+    ...image,
+    imageData: scaledImageData,
+    meta: {
+      ...meta,
+      xScale: scaledWidth / width,
+      yScale: scaledHeight / height
+    }
+  };
+};
+
+
+/**
+ * Scales an image by repeating its pixels
+ *
+ * @param {ImageData} imageData - The image to scale
+ * @param {number} width - The width of the scaled image
+ * @param {number} height - The height of the scaled image
+ * @returns {ImageData} The scaled image
+ */
+const scaleNearest = (imageData, width, height) => {
+  const source = new Uint32Array(imageData.data.buffer, imageData.data.byteOffset, imageData.width * imageData.height);
+  const scaledImageData = new ImageData(width, height);
+  const target = new Uint32Array(scaledImageData.data.buffer);
+
+  for (let y = 0; y < height; y++) {
+    const sourceLine = Math.floor(y * imageData.height / height) * imageData.width;
+    for (let x = 0; x < width; x++) {
+      target[y * width + x] = source[sourceLine + Math.floor(x * imageData.width / width)];
+    }
+  }
+
+  return scaledImageData;
+};
+
+
+/**
+ * Scales an image using bilinear filtering
+ *
+ * @param {ImageData} imageData - The image to scale
+ * @param {number} width - The width of the scaled image
+ * @param {number} height - The height of the scaled image
+ * @returns {ImageData} The scaled image
+ */
+const scaleBilinear = (imageData, width, height) => {
+  const { data } = imageData;
+  const scaledImageData = new ImageData(width, height);
+  const scaledData = scaledImageData.data;
+  const maxX = imageData.width - 1;
+  const maxY = imageData.height - 1;
+
+  for (let y = 0; y < height; y++) {
+    // Sample from the centre of each pixel
+    const sourceY = Math.min(maxY, Math.max(0, (y + 0.5) * imageData.height / height - 0.5));
+    const y0 = Math.floor(sourceY);
+    const y1 = Math.min(maxY, y0 + 1);
+    const yWeight = sourceY - y0;
+
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(maxX, Math.max(0, (x + 0.5) * imageData.width / width - 0.5));
+      const x0 = Math.floor(sourceX);
+      const x1 = Math.min(maxX, x0 + 1);
+      const xWeight = sourceX - x0;
+
+      const topLeft = (y0 * imageData.width + x0) * 4;
+      const topRight = (y0 * imageData.width + x1) * 4;
+      const bottomLeft = (y1 * imageData.width + x0) * 4;
+      const bottomRight = (y1 * imageData.width + x1) * 4;
+      const pos = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 4; channel++) {
+        const top = data[topLeft + channel] + (data[topRight + channel] - data[topLeft + channel]) * xWeight;
+        const bottom = data[bottomLeft + channel] + (data[bottomRight + channel] - data[bottomLeft + channel]) * xWeight;
+        scaledData[pos + channel] = Math.round(top + (bottom - top) * yWeight);
+      }
+    }
+  }
+
+  return scaledImageData;
+};
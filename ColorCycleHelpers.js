@@ -0,0 +1,152 @@
+import IndexedPalette from './lib/IndexedPalette.js';
+import ImageDataIndexedPaletteReader from './lib/ImageDataIndexedPaletteReader.js';
+
+/**
+ * @typedef {import('./types.js').ColorCycle} ColorCycle
+ * @typedef {import('./types.js').ColorCycler} ColorCycler
+ * @typedef {import('./types.js').IndexedImage} IndexedImage
+ */
+
+
+/**
+ * Converts `ImageData` into an array of palette indexes, one for each pixel.
+ * Pixels are matched by color, so if a color appears in the palette more than
+ * once, every pixel of that color is given its first index. Decoders that
+ * return `meta.indices` should be preferred.
+ *
+ * @param {ImageData} imageData - The image to convert
+ * @param {IndexedPalette} palette - The palette used by the image
+ * @returns {IndexedImage} The palette indexes of the image
+ * @throws {RangeError} If a pixel color doesn't exist in the palette
+ */
+export const createIndexedImage = (imageData, palette) => {
+  const { width, height } = imageData;
+  const reader = new ImageDataIndexedPaletteReader(imageData, palette);
+  const data = new Uint8Array(width * height);
+  for (let pos = 0; pos < data.length; pos++) {
+    data[pos] = reader.read();
+  }
+  return {
+    width,
+    height,
+    data
+  };
+};
+
+
+/**
+ * Creates a color cycler for an indexed image. The cycler rotates the palette
+ * entries of each active range according to its rate and direction, and can
+ * render the image for any point in time. IFF `DRNG` ranges aren't cycled.
+ *
+ * When rendering into an `ImageData` object that was previously rendered by
+ * the same cycler, only the pixels whose color has changed are written.
+ *
+ * @param {IndexedImage} imageIndices - The palette indexes of the image
+ * @param {IndexedPalette} palette - The palette of the image
+ * @param {Array<ColorCycle>} cycles - The color cycling ranges
+ * @returns {ColorCycler} The color cycler
+ */
+export const createColorCycler = (imageIndices, palette, cycles) => {
+  const { width, height, data } = imageIndices;
+  const colors = palette.resample(8).toValueArray();
+
+  // Only active ranges containing more than one palette color are cycled.
+  // The start and end of IFF `DRNG` ranges are DPaint cell numbers rather
+  // than palette indexes, so they're ignored.
+  const activeCycles = cycles.filter((cycle) => {
+    const {
+      start,
+      end,
+      rate,
+      active = true
+    } = cycle;
+    return active && rate > 0 && end > start && end < colors.length && cycle.chunk !== 'DRNG';
+  });
+
+  // Store the position of every pixel for each palette index, so changing a
+  // color only requires its pixels to be written.
+  const counts = new Uint32Array(256);
+  for (const index of data) {
+    counts[index]++;
+  }
+  const pixels = [...counts].map((count) => new Uint32Array(count));
+  counts.fill(0);
+  data.forEach((index, pos) => {
+    pixels[index][counts[index]++] = pos;
+  });
+
+  /**
+   * The colors last rendered into each `ImageData` object
+   * @type {WeakMap<ImageData, Array<number>>}
+   */
+  const renderedColors = new WeakMap();
+
+  /**
+   * Returns the original palette index shown in each palette entry at a point
+   * in time
+   *
+   * @param {number} time - The time, in milliseconds
+   * @returns {Array<number>} The palette indexes
+   */
+  const getColorIndexes = (time) => {
+    const indexes = [...colors.keys()];
+    for (const cycle of activeCycles) {
+      const {
+        start,
+        end,
+        rate,
+        direction = 1
+      } = cycle;
+      const length = end - start + 1;
+      const steps = Math.floor(time * rate / 1000) * (direction < 0 ? -1 : 1);
+      const range = indexes.slice(start, end + 1);
+      for (let c = 0; c < length; c++) {
+        indexes[start + c] = range[(((c - steps) % length) + length) % length];
+      }
+    }
+    return indexes;
+  };
+
+  /**
+   * Returns the palette at a point in time
+   *
+   * @param {number} time - The time, in milliseconds
+   * @returns {IndexedPalette} The palette
+   */
+  const getPalette = (time) => {
+    const cycledPalette = new IndexedPalette(palette.length, { bitsPerChannel: palette.bitsPerChannel });
+    getColorIndexes(time).forEach((colorIndex, index) => {
+      const color = palette.getColor(colorIndex);
+      cycledPalette.setColor(index, color.r, color.g, color.b, color.a);
+    });
+    return cycledPalette;
+  };
+
+  /**
+   * Renders the image at a point in time
+   *
+   * @param {number} time - The time, in milliseconds
+   * @param {ImageData} [imageData] - The image to render into. If omitted, a new `ImageData` object is created
+   * @returns {ImageData} The rendered image
+   */
+  const render = (time, imageData = new ImageData(width, height)) => {
+    const view = new DataView(imageData.data.buffer);
+    const previousValues = renderedColors.get(imageData);
+    const values = getColorIndexes(time).map((colorIndex) => colors[colorIndex]);
+    values.forEach((value, index) => {
+      if (!previousValues || previousValues[index] !== value) {
+        for (const pos of pixels[index]) {
+          view.setUint32(pos * 4, value);
+        }
+      }
+    });
+    renderedColors.set(imageData, values);
+    return imageData;
+  };
+
+  return {
+    getPalette,
+    render
+  };
+};
@@ -129,3 +129,94 @@ export const createEhbPalette = (palette) => {
   
   return ehbPalette;
 };
+
+
+/**
+ * Creates a palette that best represents the colors in a set of RGBA pixels,
+ * using the median cut method. Colors are reduced to `bitsPerChannel` before
+ * the palette is created. If there are fewer unique colors than requested, the 
+ * remaining palette entries are set to black.
+ * 
+ * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data, such as the `data` property of an `ImageData` object
+ * @param {number} colors - The number of colors in the palette
+ * @param {number} [bitsPerChannel=8] - The number of bits used to store each channel of a palette color
+ * @returns {IndexedPalette} The new palette
+ */
+export const createQuantizedIndexedPalette = (pixels, colors, bitsPerChannel = 8) => {
+  const palette = new IndexedPalette(colors, { bitsPerChannel });
+  const max = (1 << bitsPerChannel) - 1;
+  const histogram = new Map();
+
+  for (let c = 0; c < pixels.length; c += 4) {
+    const r = Math.round(pixels[c] / 255 * max);
+    const g = Math.round(pixels[c + 1] / 255 * max);
+    const b = Math.round(pixels[c + 2] / 255 * max);
+    const key = (r << 16) | (g << 8) | b;
+    histogram.set(key, (histogram.get(key) || 0) + 1);
+  }
+
+  // Each box is a list of `[r, g, b, count]` entries. Without any pixels
+  // there are no boxes and every color is black.
+  const boxes = [];
+  if (histogram.size) {
+    boxes.push([...histogram].map(([key, count]) => [key >> 16, (key >> 8) & 0xff, key & 0xff, count]));
+  }
+
+  // Repeatedly split the box with the widest channel range at its median
+  while (boxes.length < colors) {
+    let splitBox;
+    let splitChannel;
+    let splitRange = 0;
+
+    for (const box of boxes) {
+      for (let channel = 0; channel < 3; channel++) {
+        let low = max;
+        let high = 0;
+        for (const entry of box) {
+          low = Math.min(low, entry[channel]);
+          high = Math.max(high, entry[channel]);
+        }
+        if (high - low > splitRange) {
+          splitBox = box;
+          splitChannel = channel;
+          splitRange = high - low;
+        }
+      }
+    }
+
+    // Every box contains a single color
+    if (!splitBox) {
+      break;
+    }
+
+    splitBox.sort((a, b) => a[splitChannel] - b[splitChannel]);
+    const total = splitBox.reduce((sum, entry) => sum + entry[3], 0);
+    let count = 0;
+    let splitIndex = 1;
+    while (splitIndex < splitBox.length - 1 && count + splitBox[splitIndex - 1][3] < total / 2) {
+      count += splitBox[splitIndex - 1][3];
+      splitIndex++;
+    }
+    boxes.splice(boxes.indexOf(splitBox), 1, splitBox.slice(0, splitIndex), splitBox.slice(splitIndex));
+  }
+
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    for (const entry of box) {
+      r += entry[0] * entry[3];
+      g += entry[1] * entry[3];
+      b += entry[2] * entry[3];
+      count += entry[3];
+    }
+    palette.setColor(index, Math.round(r / count), Math.round(g / count), Math.round(b / count));
+  });
+
+  for (let index = boxes.length; index < colors; index++) {
+    palette.setColor(index, 0, 0, 0);
+  }
+
+  return palette;
+};
@@ -0,0 +1,133 @@
+/**
+ * Decompresses data encoded with the Huffman compression method used by IFF
+ * `PCHG` chunks. The tree is an array of 16 bit words, with decoding starting
+ * at the last word. For a `1` bit, a positive word is a decoded byte and a
+ * negative word is the byte offset of the next node. For a `0` bit, the
+ * previous word is read. If it has bit 8 set it's a decoded byte, otherwise
+ * it's the next node.
+ *
+ * @param {ArrayBuffer} buffer A buffer containing the compressed data
+ * @param {ArrayBuffer} tree A buffer containing the Huffman tree
+ * @param {Number} size The number of bytes to decompress
+ * @returns {ArrayBuffer} An array buffer containing the uncompressed data
+ */
+export const depack = (buffer, tree, size) => {
+  const outputBuffer = new ArrayBuffer(size);
+  const outView = new Uint8Array(outputBuffer);
+  const srcBuffer = new Uint8Array(buffer);
+  const treeView = new DataView(tree);
+  const root = treeView.byteLength / 2 - 1;
+  let srcPos = 0;
+  let destPos = 0;
+  let node = root;
+  let byte = 0;
+  let bits = 0;
+
+  while (destPos < size) {
+    if (!bits) {
+      byte = srcPos < srcBuffer.length ? srcBuffer[srcPos++] : 0;
+      bits = 8;
+    }
+
+    if (byte & 0x80) {
+      const value = treeView.getInt16(node * 2);
+      if (value >= 0) {
+        outView[destPos++] = value;
+        node = root;
+      } else {
+        node += value / 2;
+      }
+    } else {
+      node--;
+      const value = treeView.getInt16(node * 2);
+      if (value > 0 && value & 0x100) {
+        outView[destPos++] = value;
+        node = root;
+      }
+    }
+
+    byte <<= 1;
+    bits--;
+  }
+  return outputBuffer;
+};
+
+
+/**
+ * Compresses data using the Huffman compression method used by IFF `PCHG`
+ * chunks. The compressed data is padded to a multiple of 4 bytes, as some
+ * decoders read it a long word at a time.
+ *
+ * @param {Uint8Array} data The data to compress
+ * @returns {{tree: Uint8Array, data: Uint8Array}} The Huffman tree and the compressed data
+ */
+export const pack = (data) => {
+  const counts = new Uint32Array(256);
+  for (const byte of data) {
+    counts[byte]++;
+  }
+
+  let nodes = [];
+  counts.forEach((weight, value) => {
+    if (weight) {
+      nodes.push({ value, weight });
+    }
+  });
+
+  // The tree needs at least two leaves
+  while (nodes.length < 2) {
+    nodes.push({ value: nodes.length ? (nodes[0].value + 1) & 0xff : 0, weight: 0 });
+  }
+
+  // Repeatedly combine the two least frequent nodes
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.weight - b.weight);
+    const [zero, one, ...rest] = nodes;
+    nodes = [{ zero, one, weight: zero.weight + one.weight }, ...rest];
+  }
+
+  // Store the tree so each node is followed by its `0` branch. The `1` branch
+  // is either a byte value or an offset to a node stored earlier in the tree.
+  const words = [];
+  const codes = [];
+  const writeNode = (node, code) => {
+    const { zero, one } = node;
+    let onePos;
+    if (one.zero) {
+      onePos = writeNode(one, [...code, 1]);
+    } else {
+      codes[one.value] = [...code, 1];
+    }
+    if (zero.zero) {
+      writeNode(zero, [...code, 0]);
+    } else {
+      codes[zero.value] = [...code, 0];
+      words.push(0x100 | zero.value);
+    }
+    const pos = words.length;
+    words.push(one.zero ? (onePos - pos) * 2 : one.value);
+    return pos;
+  };
+  writeNode(nodes[0], []);
+
+  const tree = new Uint8Array(words.length * 2);
+  const treeView = new DataView(tree.buffer);
+  words.forEach((word, index) => treeView.setInt16(index * 2, word));
+
+  const bitCount = data.reduce((length, byte) => length + codes[byte].length, 0);
+  const output = new Uint8Array(Math.ceil(bitCount / 32) * 4);
+  let pos = 0;
+  for (const byte of data) {
+    for (const bit of codes[byte]) {
+      if (bit) {
+        output[pos >> 3] |= 0x80 >> (pos & 7);
+      }
+      pos++;
+    }
+  }
+
+  return {
+    tree,
+    data: output
+  };
+};
@@ -48,7 +48,9 @@ export const pack = (planeData, bytesPerLine) => {
   let pos = 0;
   const planeLength = bytesPerLine;
   const packedLineBuffer = new Uint8Array(planeLength * 2);
-  const compressedData = new Uint8Array(planeData.length);
+  // Incompressible data grows by one byte for every 128 bytes of a line
+  const lines = Math.ceil(planeData.length / bytesPerLine);
+  const compressedData = new Uint8Array(planeData.length + lines * Math.ceil(bytesPerLine / 128));
 
   for (let srcPos = 0; srcPos < planeData.byteLength; srcPos += planeLength) {
     const line = planeData.slice(srcPos, srcPos + planeLength);
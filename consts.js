@@ -6,3 +6,24 @@ export const ENCODING_FORMAT_LINE = 'line';
 
 /** Amiga Contiguous Bitmap (ACBM) format */
 export const ENCODING_FORMAT_CONTIGUOUS = 'contiguous';
+
+/** Amiga / Atari IFF (ILBM and ACBM) image */
+export const IMAGE_FORMAT_IFF = 'iff';
+
+/** Atari ST Degas / Degas Elite image */
+export const IMAGE_FORMAT_DEGAS = 'degas';
+
+/** Atari ST NEOchrome image */
+export const IMAGE_FORMAT_NEOCHROME = 'neochrome';
+
+/** Atari ST Crack Art image */
+export const IMAGE_FORMAT_CRACKART = 'crackart';
+
+/** Atari ST Tiny Stuff image */
+export const IMAGE_FORMAT_TINY = 'tiny';
+
+/** Atari ST Spectrum 512 image (SPU, SPC or SPS) */
+export const IMAGE_FORMAT_SPECTRUM512 = 'spectrum512';
+
+/** STOS Basic memory bank containing a packed screen */
+export const IMAGE_FORMAT_STOS = 'stos';
@@ -26,9 +26,28 @@ export const decode = (buffer, width, height, palette, options = {}) => {
     planes = getPlaneCountForIndexedPalette(palette)
   } = options;
 
-  const imageData = new ImageData(width, height);
-  const { format = ENCODING_FORMAT_WORD } = options;
-  const writer = new ImageDataIndexedPaletteWriter(imageData, palette);
+  const indexedImage = decodeIndexed(buffer, width, height, { ...options, planes });
+  return renderIndexedImage(indexedImage, palette);
+};
+
+
+/**
+ * Decodes a buffer of planar image data into the palette index of each pixel,
+ * without converting them to colors.
+ *
+ * @param {Uint8Array} buffer An array buffer containing the bitmap data
+ * @param {number} width The width in pixels of the image to decode
+ * @param {number} height The height in pixels of the image to decode
+ * @param {import('./types.js').BitplaneEncodingOptions} options Decoder options. `planes` must be set.
+ * @returns {import('./types.js').IndexedImage} The palette indexes of the image
+ */
+export const decodeIndexed = (buffer, width, height, options) => {
+  const {
+    planes,
+    format = ENCODING_FORMAT_WORD
+  } = options;
+
+  const data = new Uint8Array(width * height);
 
   // Regardless of the output width, bitplanes are always stored in multiples of 
   // 16 bits. We need to calculate the width of the stored line for our reader
@@ -47,13 +66,36 @@ export const decode = (buffer, width, height, palette, options = {}) => {
     throw new PlanarCoderError('Invalid format');
   }
 
+  let pos = 0;
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      writer.write(reader.read());
+      data[pos++] = reader.read();
     }
     // Skip over any unused pixels
     reader.advance(planeWidth - width);
   }
 
+  return {
+    width,
+    height,
+    data
+  };
+};
+
+
+/**
+ * Converts the palette indexes of an image into an `ImageData` instance.
+ *
+ * @param {import('./types.js').IndexedImage} indexedImage The palette indexes of the image
+ * @param {IndexedPalette} palette The image palette
+ * @returns {ImageData} The image
+ */
+export const renderIndexedImage = (indexedImage, palette) => {
+  const { width, height, data } = indexedImage;
+  const imageData = new ImageData(width, height);
+  const writer = new ImageDataIndexedPaletteWriter(imageData, palette);
+  for (const index of data) {
+    writer.write(index);
+  }
   return imageData;
 };
@@ -0,0 +1,363 @@
+import PlanarCoderError from './lib/PlanarCoderError.js';
+import decodeIff, { decodeAll as decodeAllIff } from './formats/iff/decode.js';
+import decodeDegas from './formats/degas/decode.js';
+import decodeNeochrome from './formats/neochrome/decode.js';
+import decodeCrackArt from './formats/crackart/decode.js';
+import decodeTiny from './formats/tiny/decode.js';
+import decodeSpectrum512 from './formats/spectrum512/decode.js';
+import decodeStos from './formats/stos/decode.js';
+
+import {
+  IMAGE_FORMAT_IFF,
+  IMAGE_FORMAT_DEGAS,
+  IMAGE_FORMAT_NEOCHROME,
+  IMAGE_FORMAT_CRACKART,
+  IMAGE_FORMAT_TINY,
+  IMAGE_FORMAT_SPECTRUM512,
+  IMAGE_FORMAT_STOS
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').ImageFormat} ImageFormat
+ * @typedef {import('./types.js').ImageFormatDetectionResult} ImageFormatDetectionResult
+ */
+
+/** Size of an uncompressed Degas image */
+const DEGAS_FILE_SIZE = 32034;
+
+/** Size of an uncompressed Degas Elite image (includes color cycling data) */
+const DEGAS_ELITE_FILE_SIZE = 32066;
+
+/** Size of a NEOchrome image */
+const NEOCHROME_FILE_SIZE = 32128;
+
+/** Size of an uncompressed Spectrum 512 (SPU) image */
+const SPECTRUM_UNCOMPRESSED_FILE_SIZE = 51104;
+
+/**
+ * Some tools pad files to the next disk block so, when comparing expected and
+ * actual file sizes, we allow for a little slack.
+ */
+const FILE_SIZE_TOLERANCE = 512;
+
+
+/**
+ * Checks for the `FORM` container and an `ILBM`, `ACBM`, `PBM`, `RGBN` or
+ * `RGB8` type identifier. `CAT ` and `LIST` containers store a hint of the
+ * type of their contents, which may be blank if they contain mixed types.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectIff = (view) => {
+  if (view.byteLength < 12) {
+    return 0;
+  }
+  const container = readString(view, 0, 4);
+  const type = readString(view, 8, 4);
+  if (container !== 'FORM' && container !== 'CAT ' && container !== 'LIST') {
+    return 0;
+  }
+  if (['ILBM', 'ACBM', 'PBM ', 'RGBN', 'RGB8'].includes(type)) {
+    return 1;
+  }
+  return container === 'FORM' ? 0 : 0.5;
+};
+
+
+/**
+ * Checks for the `Lionpoubnk` memory bank header and packed screen identifier.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectStos = (view) => {
+  if (view.byteLength < 0x58 || readString(view, 0, 10) !== 'Lionpoubnk') {
+    return 0;
+  }
+  if (view.getUint8(0x0e) === 0x81 && view.getUint32(0x12) === 0x06071963) {
+    return 1;
+  }
+  return 0.2;
+};
+
+
+/**
+ * Spectrum 512 images are either exactly 51104 bytes (SPU) or start with an
+ * `SP\0\0` header (SPC and SPS).
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectSpectrum512 = (view) => {
+  if (view.byteLength >= 12 && view.getUint32(0) === 0x53500000) {
+    // The header also contains the bitmap and palette lengths, which should
+    // fit within the file.
+    const bitmapLength = view.getUint32(4);
+    const paletteLength = view.getUint32(8);
+    if (12 + bitmapLength + paletteLength <= view.byteLength) {
+      return 0.9;
+    }
+    return 0.5;
+  }
+  if (view.byteLength === SPECTRUM_UNCOMPRESSED_FILE_SIZE) {
+    // The first scanline of a Spectrum 512 image is never displayed and is
+    // almost always blank.
+    for (let c = 0; c < 160; c++) {
+      if (view.getUint8(c)) {
+        return 0.6;
+      }
+    }
+    return 0.9;
+  }
+  return 0;
+};
+
+
+/**
+ * NEOchrome images are exactly 32128 bytes and start with a zero flag word and
+ * a resolution word. Images written by the NEOchrome encoder also carry a
+ * `NEO!` watermark.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectNeochrome = (view) => {
+  if (view.byteLength !== NEOCHROME_FILE_SIZE) {
+    return 0;
+  }
+  if (view.getUint16(0) !== 0 || view.getUint16(2) > 2) {
+    return 0.2;
+  }
+  if (readString(view, 124, 4) === 'NEO!') {
+    return 1;
+  }
+  return 0.8;
+};
+
+
+/**
+ * Degas images start with a compression byte (`0x00` or `0x80`) followed by a
+ * resolution byte. Uncompressed files have a fixed size.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectDegas = (view) => {
+  if (view.byteLength < 34) {
+    return 0;
+  }
+  const compressed = view.getUint8(0);
+  const res = view.getUint8(1);
+  if (res > 2) {
+    return 0;
+  }
+  if (compressed === 0) {
+    if (view.byteLength === DEGAS_FILE_SIZE || view.byteLength === DEGAS_ELITE_FILE_SIZE) {
+      return 0.8;
+    }
+  } else if (compressed === 0x80) {
+    if (view.byteLength < DEGAS_ELITE_FILE_SIZE) {
+      return 0.5;
+    }
+  }
+  return 0;
+};
+
+
+/**
+ * Crack Art images start with a `CA` header, a compression flag and a
+ * resolution byte.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectCrackArt = (view) => {
+  if (view.byteLength < 8 || view.getUint16(0) !== 0x4341) {
+    return 0;
+  }
+  const compressed = view.getUint8(2);
+  const res = view.getUint8(3);
+  if (compressed > 1 || res > 2) {
+    return 0;
+  }
+  if (!compressed) {
+    const paletteSize = [32, 8, 0][res];
+    if (view.byteLength === 4 + paletteSize + 32000) {
+      return 0.9;
+    }
+    return 0.3;
+  }
+  return 0.7;
+};
+
+
+/**
+ * Tiny images have no magic number, so we check that the resolution byte is
+ * valid and that the control byte and data word counts add up to the size of
+ * the file.
+ *
+ * @param {DataView} view The file data
+ * @returns {number} The detection confidence
+ */
+const detectTiny = (view) => {
+  if (view.byteLength < 41) {
+    return 0;
+  }
+  const res = view.getUint8(0);
+  if (res > 5) {
+    return 0;
+  }
+  // Resolutions 3 to 5 have an extra 4 bytes of color animation data
+  const headerLength = res > 2 ? 41 : 37;
+  const controlByteCount = view.getUint16(headerLength - 4);
+  const dataWordCount = view.getUint16(headerLength - 2);
+  const expectedSize = headerLength + controlByteCount + dataWordCount * 2;
+  if (expectedSize === view.byteLength) {
+    return 0.7;
+  }
+  if (expectedSize < view.byteLength && expectedSize + FILE_SIZE_TOLERANCE > view.byteLength) {
+    return 0.4;
+  }
+  return 0;
+};
+
+
+/**
+ * Reads an ASCII string from a `DataView`
+ *
+ * @param {DataView} view The view to read from
+ * @param {number} offset The byte offset of the string
+ * @param {number} length The number of characters to read
+ * @returns {string} The decoded string
+ */
+const readString = (view, offset, length) => {
+  let value = '';
+  for (let c = 0; c < length; c++) {
+    value += String.fromCharCode(view.getUint8(offset + c));
+  }
+  return value;
+};
+
+
+const detectors = [
+  [IMAGE_FORMAT_IFF, detectIff],
+  [IMAGE_FORMAT_STOS, detectStos],
+  [IMAGE_FORMAT_SPECTRUM512, detectSpectrum512],
+  [IMAGE_FORMAT_NEOCHROME, detectNeochrome],
+  [IMAGE_FORMAT_DEGAS, detectDegas],
+  [IMAGE_FORMAT_CRACKART, detectCrackArt],
+  [IMAGE_FORMAT_TINY, detectTiny]
+];
+
+
+/**
+ * Decodes an IFF file. `CAT ` and `LIST` files can contain several images, so
+ * the first image is returned along with every image in `images`.
+ *
+ * @param {ArrayBuffer} buffer An array buffer containing the image
+ * @returns {{imageData: ImageData, meta: object, images?: Array<{imageData: ImageData, meta: object}>}} The decoded image
+ * @throws {PlanarCoderError} If a `CAT ` or `LIST` file doesn't contain any images
+ */
+const decodeIffFile = (buffer) => {
+  if (readString(new DataView(buffer), 0, 4) === 'FORM') {
+    return decodeIff(buffer);
+  }
+  const images = decodeAllIff(buffer);
+  if (!images.length) {
+    throw new PlanarCoderError('IFF file doesn\'t contain any images');
+  }
+  return {
+    ...images[0],
+    images
+  };
+};
+
+
+const decoders = {
+  [IMAGE_FORMAT_IFF]: decodeIffFile,
+  [IMAGE_FORMAT_STOS]: decodeStos,
+  [IMAGE_FORMAT_SPECTRUM512]: decodeSpectrum512,
+  [IMAGE_FORMAT_NEOCHROME]: decodeNeochrome,
+  [IMAGE_FORMAT_DEGAS]: decodeDegas,
+  [IMAGE_FORMAT_CRACKART]: decodeCrackArt,
+  [IMAGE_FORMAT_TINY]: decodeTiny
+};
+
+
+/**
+ * Runs every detector against an image and returns the formats it could be,
+ * ordered from the most to the least likely.
+ *
+ * @param {ArrayBuffer} buffer An array buffer containing the image
+ * @returns {Array<ImageFormatDetectionResult>} The possible formats
+ */
+const detectFormats = (buffer) => {
+  const view = new DataView(buffer);
+  return detectors
+    .map(([format, detector]) => ({ format, confidence: detector(view) }))
+    .filter(({ confidence }) => confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+
+/**
+ * Attempts to determine the format of an image by inspecting its magic
+ * numbers, headers and file size. Returns the most likely format along with a
+ * confidence score between `0` and `1`. A score of `1` indicates the file
+ * contains an unambiguous signature, whereas lower scores indicate the format
+ * was inferred from weaker evidence, such as the file size.
+ *
+ * @param {ArrayBuffer} buffer An array buffer containing the image
+ * @returns {ImageFormatDetectionResult|null} The detected format, or `null` if the format couldn't be determined
+ */
+export const detectFormat = (buffer) => {
+  return detectFormats(buffer)[0] || null;
+};
+
+
+/**
+ * Decodes an image of any supported format. The possible formats are found
+ * using the same checks as `detectFormat` and the buffer is passed to the
+ * decoder of each one, starting with the most likely, until one succeeds. This
+ * allows files that were identified by weaker evidence, such as their size, to
+ * fall back to another format.
+ *
+ * IFF `CAT ` and `LIST` files can contain several images. The first image is
+ * returned and every image is stored in `images`.
+ *
+ * @param {ArrayBuffer} buffer An array buffer containing the image
+ * @returns {{format: ImageFormat, imageData: ImageData, meta: object, images?: Array<{imageData: ImageData, meta: object}>}} The decoded image, its metadata and format
+ * @throws {PlanarCoderError} If the image format isn't recognised
+ * @throws {Error} The error thrown by the last decoder, if every decoder fails
+ */
+export const decodeImage = (buffer) => {
+  const candidates = detectFormats(buffer);
+  if (!candidates.length) {
+    throw new PlanarCoderError('Unsupported image format');
+  }
+
+  let lastError;
+  for (const { format } of candidates) {
+    try {
+      const result = decoders[format](buffer);
+      // Some decoders return nothing, rather than throwing, if the file isn't
+      // in the format they expected
+      if (result) {
+        const image = {
+          format,
+          imageData: result.imageData,
+          meta: result.meta
+        };
+        if (result.images) {
+          image.images = result.images;
+        }
+        return image;
+      }
+    } catch (e) {
+      lastError = e;
+    }
+  }
+
+  throw lastError || new PlanarCoderError('Unsupported image format');
+};
@@ -1,3 +1,15 @@
+/**
+ * The column offsets tried by the compressor. Each one is used to compress the
+ * image and the smallest output is kept.
+ */
+const COMPRESSION_OFFSETS = [160, 8, 80, 1, 2, 4, 16, 32, 40, 320, 640];
+
+/**
+ * Decompresses Crack Art image data.
+ * 
+ * @param {ArrayBuffer} buffer The compressed data
+ * @returns {ArrayBuffer} The 32000 bytes of decompressed bitplane data
+ */
 export const decompress = (buffer) => {
 
   const writeByte = (byte) => {
@@ -11,7 +23,9 @@ export const decompress = (buffer) => {
   };
 
   const readWord = () => {
-    return inView.getUint16(inPos += 2);
+    const word = inView.getUint16(inPos);
+    inPos += 2;
+    return word;
   };
 
   const readByte = () => {
@@ -79,3 +93,139 @@ export const decompress = (buffer) => {
 
   return location.buffer;
 };
+
+
+/**
+ * Compresses 32000 bytes of bitplane data using the Crack Art method. The data
+ * is read in columns, stepping over `offset` bytes at a time, and runs are 
+ * encoded using the following escape sequences:
+ * 
+ * - `ESC ESC`          -- A literal escape byte
+ * - `ESC 0 n b`        -- Byte `b` repeated `n + 1` times (1 to 256)
+ * - `ESC 1 hh ll b`    -- Byte `b` repeated `hhll + 1` times (1 to 65536)
+ * - `ESC 2 hh ll`      -- The initial byte repeated `hhll + 1` times (`hh > 0`)
+ * - `ESC 2 0`          -- The initial byte repeated to the end of the image
+ * - `ESC n b`          -- Byte `b` repeated `n + 1` times (4 to 256)
+ * 
+ * Every offset in `COMPRESSION_OFFSETS` is tried and the smallest output is
+ * returned.
+ * 
+ * @param {Uint8Array} data The uncompressed bitplane data
+ * @returns {Uint8Array} The compressed data
+ */
+export const compress = (data) => {
+  const counts = new Uint32Array(256);
+  for (const byte of data) {
+    counts[byte]++;
+  }
+
+  // The escape byte is the least used byte (so it rarely needs escaping) and 
+  // the initial byte is the most used (so it can be left out of the stream).
+  // Bytes 0 to 2 are command codes, so they can't be used as the escape byte.
+  let escape = 3;
+  let initial = 0;
+  for (let byte = 1; byte < 256; byte++) {
+    if (byte > 3 && counts[byte] < counts[escape]) {
+      escape = byte;
+    }
+    if (counts[byte] > counts[initial]) {
+      initial = byte;
+    }
+  }
+
+  let best;
+  for (const offset of COMPRESSION_OFFSETS) {
+    const compressed = compressWithOffset(data, escape, initial, offset);
+    if (!best || compressed.byteLength < best.byteLength) {
+      best = compressed;
+    }
+  }
+  return best;
+};
+
+
+/**
+ * Compresses bitplane data using a specific column offset.
+ * 
+ * @param {Uint8Array} data The uncompressed bitplane data
+ * @param {number} escape The escape byte
+ * @param {number} initial The byte used to fill the image before decoding
+ * @param {number} offset The number of bytes between each byte in a column
+ * @returns {Uint8Array} The compressed data
+ */
+const compressWithOffset = (data, escape, initial, offset) => {
+  const size = data.byteLength;
+  const out = new Uint8Array(4 + size * 2);
+
+  // Reorder the source so we can process it as one long stream
+  const stream = new Uint8Array(size);
+  let pos = 0;
+  for (let start = 0; start < offset; start++) {
+    for (let c = start; c < size; c += offset) {
+      stream[pos++] = data[c];
+    }
+  }
+
+  out[0] = escape;
+  out[1] = initial;
+  out[2] = (offset >> 8) & 0xff;
+  out[3] = offset & 0xff;
+
+  let outPos = 4;
+  let srcPos = 0;
+
+  while (srcPos < size) {
+    const byte = stream[srcPos];
+    let length = 1;
+    while (srcPos + length < size && stream[srcPos + length] === byte) {
+      length++;
+    }
+    srcPos += length;
+
+    // The rest of the image is the initial byte, which the decoder has already
+    // filled in for us.
+    if (byte === initial && srcPos === size) {
+      out[outPos++] = escape;
+      out[outPos++] = 2;
+      out[outPos++] = 0;
+      break;
+    }
+
+    while (length) {
+      if (byte === initial && length > 256) {
+        const count = Math.min(length, 65536);
+        out[outPos++] = escape;
+        out[outPos++] = 2;
+        out[outPos++] = (count - 1) >> 8;
+        out[outPos++] = (count - 1) & 0xff;
+        length -= count;
+      } else if (length > 256) {
+        const count = Math.min(length, 65536);
+        out[outPos++] = escape;
+        out[outPos++] = 1;
+        out[outPos++] = (count - 1) >> 8;
+        out[outPos++] = (count - 1) & 0xff;
+        out[outPos++] = byte;
+        length -= count;
+      } else if (length > 3 || (byte === escape && length > 1)) {
+        // Run lengths that would be mistaken for another command (or for an 
+        // escaped escape byte) must use the long form.
+        out[outPos++] = escape;
+        if (length - 1 < 3 || length - 1 === escape) {
+          out[outPos++] = 0;
+        }
+        out[outPos++] = length - 1;
+        out[outPos++] = byte;
+        length = 0;
+      } else {
+        if (byte === escape) {
+          out[outPos++] = escape;
+        }
+        out[outPos++] = byte;
+        length--;
+      }
+    }
+  }
+
+  return out.slice(0, outPos);
+};
@@ -62,7 +62,8 @@ export default (buffer) => {
     imageData,
     meta: {
       palette,
-      compression: !!compressed
+      compression: !!compressed,
+      resolution: res
     }
   };
 
@@ -0,0 +1,70 @@
+import { compress } from './compression.js';
+import { FILE_HEADER } from './consts.js';
+import { ENCODING_FORMAT_WORD } from '../../consts.js';
+import { writeAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
+import { encode } from '../../encode.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
+
+/**
+ * @typedef {import('../../lib/IndexedPalette.js').default} IndexedPalette
+ * @typedef {import('./types.js').CrackArtImageEncodingOptions} CrackArtImageEncodingOptions
+ */
+
+/**
+ * Encodes a `ImageData` object into a Crack Art image. The resolution (CA1,
+ * CA2 or CA3) is determined by the dimensions of the image.
+ *
+ * @param {ImageData} imageData - The image data to encode
+ * @param {IndexedPalette} palette - The color palette to use
+ * @param {CrackArtImageEncodingOptions} options - The encoding options
+ * @returns {ArrayBuffer} The encoded Crack Art image bytes
+ * @throws {PlanarCoderError} If the image dimensions or palette are invalid
+ */
+export default (imageData, palette, options = {}) => {
+  const { compression = false } = options;
+  const { height, width } = imageData;
+  let res;
+  let colors;
+
+  if (width === 320 && height === 200) {
+    res = 0;
+    colors = 16;
+  } else if (width === 640 && height === 200) {
+    res = 1;
+    colors = 4;
+  } else if (width === 640 && height === 400) {
+    res = 2;
+    colors = 2;
+  } else {
+    throw new PlanarCoderError('Crack Art images must be 320x200, 640x200 or 640x400');
+  }
+
+  if (palette.length > colors) {
+    throw new PlanarCoderError('Too many colors');
+  }
+
+  // Monochrome images don't store a palette
+  const paletteLength = res === 2 ? 0 : colors * 2;
+  const planes = 4 >> res;
+
+  let bitplaneData = encode(imageData, palette, { format: ENCODING_FORMAT_WORD, planes });
+
+  if (compression) {
+    bitplaneData = compress(bitplaneData);
+  }
+
+  const buffer = new ArrayBuffer(4 + paletteLength + bitplaneData.byteLength);
+  const dataView = new DataView(buffer);
+
+  dataView.setUint16(0, FILE_HEADER);
+  dataView.setUint8(2, compression ? 1 : 0);
+  dataView.setUint8(3, res);
+
+  if (paletteLength) {
+    writeAtariStIndexedPalette(new Uint8Array(buffer, 4, paletteLength), palette);
+  }
+
+  new Uint8Array(buffer, 4 + paletteLength).set(bitplaneData);
+
+  return buffer;
+};
@@ -2,6 +2,7 @@
  * @typedef CrackArtImageMetadata
  * @property {IndexedPalette} palette The color palette for the image
  * @property {boolean} compression Is the image data compressed
+ * @property {number} resolution The Atari ST resolution: `0` (low), `1` (medium) or `2` (high)
  */
 
 /**
@@ -9,5 +10,9 @@
  * @property {ImageData} imageData - The decoded image data
  * @property {CrackArtImageMetadata} meta - The image metadata
  */
+/**
+ * @typedef CrackArtImageEncodingOptions
+ * @property {boolean} compression Should the encoded image be compressed
+ */
 
 export default null;
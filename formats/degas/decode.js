@@ -1,12 +1,13 @@
 import IndexedPalette from '../../lib/IndexedPalette.js';
 import { depack } from '../../compression/packbits.js';
-import { decode } from '../../decode.js';
+import { decodeIndexed, renderIndexedImage } from '../../decode.js';
 import { ENCODING_FORMAT_WORD, ENCODING_FORMAT_LINE } from '../../consts.js';
 import { readAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
 import PlanarCoderError from '../../lib/PlanarCoderError.js';
 
 /**
  * @typedef {import('./types.js').DegasImage} DegasImage
+ * @typedef {import('../../types.js').ColorCycle} ColorCycle
  */
 
 /**
@@ -42,19 +43,64 @@ export default (buffer) => {
   } else {
     palette = readAtariStIndexedPalette(new Uint8Array(buffer, 2, colors * 2), colors);
   }
-  let imageData;
+  let indices;
   if (compressed) {
     const bitplaneData = new Uint8Array(depack(buffer.slice(34), 32000));
-    imageData = decode(bitplaneData, width, height, palette, { format: ENCODING_FORMAT_LINE });
+    indices = decodeIndexed(bitplaneData, width, height, { format: ENCODING_FORMAT_LINE, planes });
   } else {
     const bitplaneData = new Uint8Array(buffer, 34, 32000);
-    imageData = decode(bitplaneData, width, height, palette, { format: ENCODING_FORMAT_WORD });
+    indices = decodeIndexed(bitplaneData, width, height, { format: ENCODING_FORMAT_WORD, planes });
   }
+  // Degas Elite stores its color animation channels after the image data.
+  // Compressed images are variable length, so these are the last 32 bytes.
+  const animationOffset = compressed ? buffer.byteLength - 32 : 32034;
   return {
-    imageData,
+    imageData: renderIndexedImage(indices, palette),
     meta: { 
       palette,
-      compression: !!compressed
+      compression: !!compressed,
+      resolution: res,
+      indices,
+      colorCycles: readColorCycles(dataView, animationOffset)
     }
   };
 };
+
+
+/**
+ * Reads the four Degas Elite color animation channels. Each table contains a
+ * word for every channel: the left limits, the right limits, the direction
+ * (`0` for left, `1` for off or `2` for right) and the delay between steps,
+ * stored as 128 minus the number of 1/60ths of a second.
+ *
+ * @param {DataView} dataView - A view of the Degas image
+ * @param {number} offset - The offset of the animation tables
+ * @returns {Array<ColorCycle>} The color cycling ranges, or an empty array if the image doesn't have them
+ */
+const readColorCycles = (dataView, offset) => {
+  if (offset < 34 || offset + 32 > dataView.byteLength) {
+    return [];
+  }
+
+  const colorCycles = [];
+  for (let channel = 0; channel < 4; channel++) {
+    const start = dataView.getUint16(offset + channel * 2);
+    const end = dataView.getUint16(offset + 8 + channel * 2);
+    const direction = dataView.getUint16(offset + 16 + channel * 2);
+    const delay = 128 - dataView.getUint16(offset + 24 + channel * 2);
+
+    // Anything else is image data from a file without animation channels
+    if (start > 15 || end > 15 || direction > 2 || delay < 0) {
+      return [];
+    }
+
+    colorCycles.push({
+      start,
+      end,
+      rate: delay ? 60 / delay : 0,
+      direction: direction === 0 ? -1 : 1,
+      active: direction !== 1 && end > start
+    });
+  }
+  return colorCycles;
+};
@@ -2,6 +2,9 @@
  * @typedef DegasImageMetadata
  * @property {IndexedPalette} palette The color palette for the image
  * @property {boolean} compression Is the image data compressed
+ * @property {number} resolution The Atari ST resolution: `0` (low), `1` (medium) or `2` (high)
+ * @property {import('../../types.js').IndexedImage} indices The palette index of each pixel
+ * @property {Array<import('../../types.js').ColorCycle>} colorCycles The Degas Elite color animation channels
  */
 
 /**
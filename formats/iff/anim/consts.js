@@ -0,0 +1,24 @@
+export const IFF_CHUNK_ID_ANIM = 'ANIM';
+export const IFF_CHUNK_ID_ANHD = 'ANHD';
+export const IFF_CHUNK_ID_DLTA = 'DLTA';
+
+/** Frame is stored as a complete ILBM `BODY` */
+export const ANIM_OP_DIRECT = 0;
+
+/** Frame is stored as a byte vertical delta */
+export const ANIM_OP_BYTE_VERTICAL = 5;
+
+/** Frame is stored as a short or long vertical delta with separate op and data lists */
+export const ANIM_OP_SPLIT_VERTICAL = 7;
+
+/** Frame is stored as a short or long vertical delta */
+export const ANIM_OP_VERTICAL = 8;
+
+/** `ANHD` flag indicating op 7 and 8 data is stored as 32 bit values */
+export const ANIM_FLAG_LONG_DATA = 0x01;
+
+/** `ANHD` flag indicating delta data is XORed with the existing bitplane data */
+export const ANIM_FLAG_XOR = 0x02;
+
+/** The interleave used if the `ANHD` chunk doesn't specify one */
+export const ANIM_DEFAULT_INTERLEAVE = 2;
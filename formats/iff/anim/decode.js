@@ -0,0 +1,392 @@
+import IffChunkReader from '../IffChunkReader.js';
+import PlanarCoderError from '../../../lib/PlanarCoderError.js';
+import { readIffImage, renderIffImage } from '../decode.js';
+import { ENCODING_FORMAT_CONTIGUOUS } from '../../../consts.js';
+import { IFF_CHUNK_ID_FORM, IFF_CHUNK_ID_ILBM } from '../consts.js';
+
+import {
+  IFF_CHUNK_ID_ANIM,
+  IFF_CHUNK_ID_ANHD,
+  IFF_CHUNK_ID_DLTA,
+  ANIM_OP_DIRECT,
+  ANIM_OP_BYTE_VERTICAL,
+  ANIM_OP_SPLIT_VERTICAL,
+  ANIM_OP_VERTICAL,
+  ANIM_FLAG_LONG_DATA,
+  ANIM_FLAG_XOR,
+  ANIM_DEFAULT_INTERLEAVE
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').IffAnim} IffAnim
+ * @typedef {import('./types.js').IffAnimFrame} IffAnimFrame
+ * @typedef {import('./types.js').IffAnimHeader} IffAnimHeader
+ * @typedef {import('../types.js').IffImageState} IffImageState
+ */
+
+/** Delta compression methods only store changes for the first 8 bitplanes */
+const MAX_DELTA_PLANES = 8;
+
+/**
+ * Decodes an IFF `ANIM` file and returns each frame as an `ImageData` object.
+ * The first frame is decoded as a regular ILBM image, subsequent frames are
+ * created by applying the changes stored in their `DLTA` chunks to the
+ * bitplane data of an earlier frame. Supports:
+ * - Full frames (op 0)
+ * - Byte vertical delta compression (op 5)
+ * - Short and long vertical delta compression (op 7 and op 8)
+ * - Interleave values of 1 and 2
+ *
+ * Every frame is returned. If the animation ends with copies of its first
+ * frames (a common practice for double-buffered animations, so players can
+ * loop back to the start) `meta.loop` is set to `true`. Players that loop the
+ * animation should skip the last `meta.interleave` frames.
+ *
+ * @param {ArrayBuffer} buffer - An array buffer containing the IFF animation
+ * @returns {IffAnim} The decoded animation
+ */
+export default (buffer) => {
+
+  const reader = new IffChunkReader(buffer);
+
+  // Check this is an IFF animation
+  const formChunk = reader.readChunk();
+  if (formChunk.id !== IFF_CHUNK_ID_FORM || formChunk.reader.readString(4) !== IFF_CHUNK_ID_ANIM) {
+    error();
+  }
+
+  /** @type {Array<IffAnimFrame>} */
+  const frames = [];
+
+  /** @type {Array<Uint8Array>} */
+  const buffers = [];
+
+  /** @type {IffImageState} */
+  let image;
+  let meta;
+  let interleave;
+
+  // Each frame is stored in its own `FORM ILBM` chunk
+  while (!formChunk.reader.eof()) {
+    const { id, reader: frameReader } = formChunk.reader.readChunk();
+    if (id !== IFF_CHUNK_ID_FORM || frameReader.readString(4) !== IFF_CHUNK_ID_ILBM) {
+      continue;
+    }
+
+    // Frames inherit the properties of the frame before them, but must supply
+    // their own bitplane data.
+    image = readIffImage(frameReader, IFF_CHUNK_ID_ILBM, image && { ...image, bitplaneData: null });
+
+    let header;
+    let delta;
+    for (const { id, data } of image.chunks) {
+      if (id === IFF_CHUNK_ID_ANHD) {
+        header = readAnimHeader(new IffChunkReader(data.buffer, data.byteOffset, data.byteLength));
+      } else if (id === IFF_CHUNK_ID_DLTA) {
+        delta = data;
+      }
+    }
+
+    let bitplaneData;
+
+    // The key frame, or a frame stored with op 0, contains a complete `BODY`.
+    if (image.bitplaneData) {
+      bitplaneData = new Uint8Array(image.bitplaneData).slice();
+    }
+
+    // Delta frames are applied to the frame that was in the same buffer. For
+    // double buffered animations this is the frame before last.
+    else if (buffers.length) {
+      const frameInterleave = (header && header.interleave) || ANIM_DEFAULT_INTERLEAVE;
+      if (!interleave) {
+        interleave = frameInterleave;
+      }
+      bitplaneData = buffers[Math.max(0, buffers.length - frameInterleave)].slice();
+      if (header && delta) {
+        applyDelta(bitplaneData, delta, header, image);
+      }
+    }
+
+    else {
+      error();
+    }
+
+    const frame = renderIffImage({ ...image, bitplaneData: bitplaneData.buffer });
+    // The animation chunks aren't part of the image metadata
+    if (!meta) {
+      meta = {
+        ...frame.meta,
+        chunks: frame.meta.chunks.filter(({ id }) => id !== IFF_CHUNK_ID_ANHD && id !== IFF_CHUNK_ID_DLTA)
+      };
+    }
+    buffers.push(bitplaneData);
+    frames.push({
+      imageData: frame.imageData,
+      palette: frame.meta.palette,
+      reltime: header ? header.reltime : 0
+    });
+  }
+
+  if (!frames.length) {
+    error();
+  }
+
+  if (!interleave) {
+    interleave = ANIM_DEFAULT_INTERLEAVE;
+  }
+
+  // Double buffered animations end with a copy of their first frames so the
+  // player can restore the buffers when looping. An animation can also repeat
+  // its first frames on purpose, so the frames are kept.
+  let loop = false;
+  if (frames.length >= interleave * 2) {
+    loop = true;
+    for (let c = 0; c < interleave; c++) {
+      if (!isEqual(buffers[c], buffers[buffers.length - interleave + c])) {
+        loop = false;
+      }
+    }
+  }
+
+  return {
+    frames,
+    meta: {
+      ...meta,
+      interleave,
+      loop
+    }
+  };
+};
+
+
+/**
+ * Reads an `ANHD` chunk
+ *
+ * @param {IffChunkReader} reader - A reader for the `ANHD` chunk
+ * @returns {IffAnimHeader} The animation header
+ */
+const readAnimHeader = (reader) => {
+  const operation = reader.readUint8();   // [+0x00] compression method
+  const mask = reader.readUint8();        // [+0x01] XOR mode mask (op 1)
+  const width = reader.readUint16();      // [+0x02] width of the changed area (op 1)
+  const height = reader.readUint16();     // [+0x04] height of the changed area (op 1)
+  const x = reader.readUint16();          // [+0x06] x position of the changed area (op 1)
+  const y = reader.readUint16();          // [+0x08] y position of the changed area (op 1)
+  const abstime = reader.readUint32();    // [+0x0A] jiffies since the start of the animation
+  const reltime = reader.readUint32();    // [+0x0E] jiffies since the previous frame
+  const interleave = reader.readUint8();  // [+0x12] frames back to apply the delta to
+  reader.readUint8();                     // [+0x13] padding byte
+  const bits = reader.readUint32();       // [+0x14] option flags
+
+  return {
+    operation,
+    mask,
+    width,
+    height,
+    x,
+    y,
+    abstime,
+    reltime,
+    interleave,
+    bits
+  };
+};
+
+
+/**
+ * Applies the changes stored in a `DLTA` chunk to a frame's bitplane data
+ *
+ * @param {Uint8Array} bitplaneData - The bitplane data to modify
+ * @param {Uint8Array} delta - The `DLTA` chunk data
+ * @param {IffAnimHeader} header - The animation header for the frame
+ * @param {IffImageState} image - The image properties
+ * @throws {PlanarCoderError} If the compression method isn't supported
+ */
+const applyDelta = (bitplaneData, delta, header, image) => {
+  const { operation, bits } = header;
+  const {
+    bytesPerLine,
+    height,
+    planes,
+    bodyPlanes,
+    bitplaneEncoding
+  } = image;
+
+  // Op 0 frames contain a `BODY` rather than a delta
+  if (operation === ANIM_OP_DIRECT) {
+    return;
+  }
+
+  if (operation !== ANIM_OP_BYTE_VERTICAL && operation !== ANIM_OP_SPLIT_VERTICAL && operation !== ANIM_OP_VERTICAL) {
+    throw new PlanarCoderError('Unsupported ANIM compression method');
+  }
+
+  const target = new DataView(bitplaneData.buffer);
+  const source = new DataView(delta.buffer, delta.byteOffset, delta.byteLength);
+  const xor = !!(bits & ANIM_FLAG_XOR);
+  const dataSize = bits & ANIM_FLAG_LONG_DATA ? 4 : 2;
+
+  // The delta is applied in vertical columns, so we need to know how far to
+  // move to reach the next line and the next bitplane.
+  let rowStride;
+  let planeStride;
+  if (bitplaneEncoding === ENCODING_FORMAT_CONTIGUOUS) {
+    rowStride = bytesPerLine;
+    planeStride = bytesPerLine * height;
+  } else {
+    rowStride = bytesPerLine * bodyPlanes;
+    planeStride = bytesPerLine;
+  }
+
+  for (let plane = 0; plane < Math.min(planes, MAX_DELTA_PLANES); plane++) {
+
+    // Op 5 and op 8 start with a pointer to the data for each plane. Op 7
+    // stores a pointer to the op list for each plane, followed by a pointer to
+    // the data list for each plane. A zero pointer indicates the plane didn't
+    // change.
+    const opPointer = source.getUint32(plane * 4);
+    if (!opPointer) {
+      continue;
+    }
+
+    // Op 5 stores everything in a single byte stream
+    if (operation === ANIM_OP_BYTE_VERTICAL) {
+      const stream = createDeltaStream(source, opPointer);
+      for (let column = 0; column < bytesPerLine; column++) {
+        applyDeltaColumn(target, plane * planeStride + column, rowStride, 1, 1, xor, stream, stream);
+      }
+    }
+
+    // Op 7 stores byte ops in one stream and word or long data in another
+    else if (operation === ANIM_OP_SPLIT_VERTICAL) {
+      const ops = createDeltaStream(source, opPointer);
+      const data = createDeltaStream(source, source.getUint32(plane * 4 + 32));
+      for (let column = 0; column < bytesPerLine; column += dataSize) {
+        const size = Math.min(dataSize, bytesPerLine - column);
+        applyDeltaColumn(target, plane * planeStride + column, rowStride, 1, size, xor, ops, data);
+      }
+    }
+
+    // Op 8 stores word or long ops and data in a single stream
+    else {
+      const stream = createDeltaStream(source, opPointer);
+      for (let column = 0; column < bytesPerLine; column += dataSize) {
+        const size = Math.min(dataSize, bytesPerLine - column);
+        applyDeltaColumn(target, plane * planeStride + column, rowStride, size, size, xor, stream, stream);
+      }
+    }
+  }
+};
+
+
+/**
+ * Creates a function for reading sequential big endian values from delta data
+ *
+ * @param {DataView} view - The delta data
+ * @param {number} position - Offset of the first value
+ * @returns {(size: number) => number} A function that reads the next `size` byte value
+ */
+const createDeltaStream = (view, position) => {
+  return (size) => {
+    let value;
+    if (size === 1) {
+      value = view.getUint8(position);
+    } else if (size === 2) {
+      value = view.getUint16(position);
+    } else {
+      value = view.getUint32(position);
+    }
+    position += size;
+    return value;
+  };
+};
+
+
+/**
+ * Decodes a single vertical column of delta data. A column starts with an op
+ * count, followed by the ops:
+ * - `0` -- Same op. A count, followed by a value to repeat `count` times
+ * - high bit set -- Unique op. The low bits contain the number of values to copy
+ * - anything else -- Skip op. The number of lines to skip
+ *
+ * @param {DataView} target - The bitplane data to modify
+ * @param {number} offset - Offset of the top of the column
+ * @param {number} rowStride - Number of bytes between lines
+ * @param {number} opSize - Size, in bytes, of each op
+ * @param {number} dataSize - Size, in bytes, of each value
+ * @param {boolean} xor - Should values be XORed with the existing data
+ * @param {(size: number) => number} readOp - Reads the next op
+ * @param {(size: number) => number} readData - Reads the next value
+ */
+const applyDeltaColumn = (target, offset, rowStride, opSize, dataSize, xor, readOp, readData) => {
+  const uniqueFlag = 2 ** (opSize * 8 - 1);
+  let opCount = readOp(opSize);
+
+  while (opCount--) {
+    const op = readOp(opSize);
+    if (op === 0) {
+      const count = readOp(opSize);
+      const value = readData(dataSize);
+      for (let c = 0; c < count; c++) {
+        writeDeltaValue(target, offset, dataSize, value, xor);
+        offset += rowStride;
+      }
+    } else if (op >= uniqueFlag) {
+      const count = op - uniqueFlag;
+      for (let c = 0; c < count; c++) {
+        writeDeltaValue(target, offset, dataSize, readData(dataSize), xor);
+        offset += rowStride;
+      }
+    } else {
+      offset += op * rowStride;
+    }
+  }
+};
+
+
+/**
+ * Writes a value into bitplane data
+ *
+ * @param {DataView} target - The bitplane data to modify
+ * @param {number} offset - The offset to write to
+ * @param {number} size - Size, in bytes, of the value
+ * @param {number} value - The value to write
+ * @param {boolean} xor - Should the value be XORed with the existing data
+ */
+const writeDeltaValue = (target, offset, size, value, xor) => {
+  if (size === 1) {
+    target.setUint8(offset, xor ? target.getUint8(offset) ^ value : value);
+  } else if (size === 2) {
+    target.setUint16(offset, xor ? target.getUint16(offset) ^ value : value);
+  } else {
+    target.setUint32(offset, xor ? target.getUint32(offset) ^ value : value);
+  }
+};
+
+
+/**
+ * Compares the contents of two byte arrays
+ *
+ * @param {Uint8Array} a - The first array
+ * @param {Uint8Array} b - The second array
+ * @returns {boolean} `true` if the arrays are identical
+ */
+const isEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let c = 0; c < a.length; c++) {
+    if (a[c] !== b[c]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Helper method for reporting terminal errors
+ */
+const error = () => {
+  throw new PlanarCoderError('Invalid file format');
+};
@@ -0,0 +1,310 @@
+import encodeIff from '../encode.js';
+import IffChunkReader from '../IffChunkReader.js';
+import IffChunkWriter from '../IffChunkWriter.js';
+import PlanarCoderError from '../../../lib/PlanarCoderError.js';
+import { readIffImage } from '../decode.js';
+
+import {
+  COMPRESSION_NONE,
+  IFF_CHUNK_ID_FORM,
+  IFF_CHUNK_ID_ILBM,
+  IFF_ENCODING_FORMAT_ILBM,
+  MASK_HAS_MASK
+} from '../consts.js';
+
+import {
+  IFF_CHUNK_ID_ANIM,
+  IFF_CHUNK_ID_ANHD,
+  IFF_CHUNK_ID_DLTA,
+  ANIM_OP_BYTE_VERTICAL,
+  ANIM_DEFAULT_INTERLEAVE
+} from './consts.js';
+
+/**
+ * @typedef {import('../../../lib/IndexedPalette.js').default} IndexedPalette
+ * @typedef {import('./types.js').IffAnimEncodingOptions} IffAnimEncodingOptions
+ */
+
+/** Number of plane pointers at the start of an op 5 `DLTA` chunk */
+const DELTA_POINTER_COUNT = 16;
+
+/** Maximum number of bitplanes an op 5 delta can store changes for */
+const MAX_DELTA_PLANES = 8;
+
+/** Maximum number of lines a skip or unique op can cover */
+const MAX_OP_LENGTH = 127;
+
+/** Maximum number of lines a same op can cover */
+const MAX_SAME_LENGTH = 255;
+
+/** Maximum number of ops in a column */
+const MAX_COLUMN_OPS = 255;
+
+/**
+ * Encodes an array of `ImageData` objects into an IFF `ANIM` file. The first
+ * frame is stored as a complete ILBM image and the following frames are
+ * stored as byte vertical deltas (op 5).
+ *
+ * Frames are double buffered, so each delta holds the changes from the frame
+ * before last. Unless the `loop` option is `false`, the first two frames are
+ * repeated at the end of the animation so players can loop back to the start.
+ *
+ * Frames store the time since the previous frame, so the duration of each
+ * frame is written to the frame that follows it. The key frame has no timing
+ * and the duration of the last frame is only written if the animation loops.
+ *
+ * @param {Array<ImageData>} frames - The frames to encode
+ * @param {IndexedPalette} palette - The color palette shared by every frame
+ * @param {IffAnimEncodingOptions} options - The encoding options
+ * @returns {ArrayBuffer} - The encoded IFF animation bytes
+ * @throws {PlanarCoderError} If the frames or palette are invalid
+ */
+export default (frames, palette, options = {}) => {
+
+  const {
+    durations = 1,
+    loop = true,
+    mask
+  } = options;
+
+  if (!frames.length) {
+    throw new PlanarCoderError('No frames to encode');
+  }
+
+  if (!palette) {
+    throw new PlanarCoderError('Animations require a palette');
+  }
+
+  if (mask === MASK_HAS_MASK) {
+    throw new PlanarCoderError('Animations can\'t contain mask planes');
+  }
+
+  const { width, height } = frames[0];
+  for (const frame of frames) {
+    if (frame.width !== width || frame.height !== height) {
+      throw new PlanarCoderError('All frames must be the same size');
+    }
+  }
+
+  const imageOptions = { ...options, encoding: IFF_ENCODING_FORMAT_ILBM };
+  const keyFrame = new Uint8Array(encodeIff(frames[0], palette, imageOptions));
+
+  // Get the uncompressed bitplane data of each frame so it can be compared
+  // with the frame before last.
+  const bitplanes = frames.map((frame) => {
+    const reader = new IffChunkReader(encodeIff(frame, palette, { ...imageOptions, compression: COMPRESSION_NONE }));
+    const formReader = reader.readChunk().reader;
+    return readIffImage(formReader, formReader.readString(4));
+  });
+
+  const { bytesPerLine, planes } = bitplanes[0];
+
+  if (planes > MAX_DELTA_PLANES) {
+    throw new PlanarCoderError(`Animations can't contain more than ${MAX_DELTA_PLANES} bitplanes`);
+  }
+
+  // The frame sequence. Looping animations end with a copy of the first two
+  // frames, restoring both buffers to the state they started in.
+  const sequence = [...frames.keys()];
+  if (loop && frames.length > 1) {
+    sequence.push(0, 1);
+  }
+
+  const deltas = [];
+  for (let c = 1; c < sequence.length; c++) {
+    const previous = bitplanes[sequence[Math.max(0, c - ANIM_DEFAULT_INTERLEAVE)]].bitplaneData;
+    const current = bitplanes[sequence[c]].bitplaneData;
+    deltas.push(createByteVerticalDelta(new Uint8Array(previous), new Uint8Array(current), bytesPerLine, height, planes));
+  }
+
+  const deltaLength = deltas.reduce((length, delta) => length + delta.byteLength, 0);
+  const buffer = new ArrayBuffer(keyFrame.byteLength + deltaLength + deltas.length * 80 + 16);
+  const writer = new IffChunkWriter(buffer);
+
+  writer.startChunk(IFF_CHUNK_ID_FORM);
+  writer.writeString(IFF_CHUNK_ID_ANIM);
+
+  // The key frame is a complete ILBM, which already has its own chunk header
+  writer.writeBytes(keyFrame);
+
+  let abstime = 0;
+  deltas.forEach((delta, index) => {
+    // Each frame stores the time since the previous one was displayed
+    const reltime = getFrameDuration(durations, sequence[index]);
+    abstime += reltime;
+
+    writer.startChunk(IFF_CHUNK_ID_FORM);
+    writer.writeString(IFF_CHUNK_ID_ILBM);
+
+    writer.startChunk(IFF_CHUNK_ID_ANHD);
+    writer.writeUint8(ANIM_OP_BYTE_VERTICAL);   // [+0x00] compression method
+    writer.writeUint8(0);                       // [+0x01] XOR mode mask (op 1)
+    writer.writeUint16(width);                  // [+0x02] width of the changed area
+    writer.writeUint16(height);                 // [+0x04] height of the changed area
+    writer.writeUint16(0);                      // [+0x06] x position of the changed area
+    writer.writeUint16(0);                      // [+0x08] y position of the changed area
+    writer.writeUint32(abstime);                // [+0x0A] jiffies since the start of the animation
+    writer.writeUint32(reltime);                // [+0x0E] jiffies since the previous frame
+    writer.writeUint8(0);                       // [+0x12] interleave (0 is the default of 2)
+    writer.writeUint8(0);                       // [+0x13] padding byte
+    writer.writeUint32(0);                      // [+0x14] option flags
+    writer.writeBytes(new Uint8Array(16));      // [+0x18] reserved
+    writer.endChunk();
+
+    writer.startChunk(IFF_CHUNK_ID_DLTA);
+    writer.writeBytes(delta);
+    writer.endChunk();
+
+    writer.endChunk();
+  });
+
+  return buffer.slice(0, writer.endChunk());
+};
+
+
+/**
+ * Returns the number of jiffies a frame should be displayed for
+ *
+ * @param {number|Array<number>} durations - A duration for every frame, or a single duration for all frames
+ * @param {number} index - The frame index
+ * @returns {number} The frame duration
+ */
+const getFrameDuration = (durations, index) => {
+  if (Array.isArray(durations)) {
+    return durations[index];
+  }
+  return durations;
+};
+
+
+/**
+ * Creates an op 5 (byte vertical delta) `DLTA` chunk containing the changes
+ * between two frames. The chunk starts with a pointer to the data for each
+ * bitplane, followed by the changes for each byte column of the bitplane. See
+ * `decode.js` for the op meanings.
+ *
+ * @param {Uint8Array} previous - The line interleaved bitplane data of the frame being changed
+ * @param {Uint8Array} current - The line interleaved bitplane data of the new frame
+ * @param {number} bytesPerLine - Number of bytes in a bitplane scanline
+ * @param {number} height - Number of lines in the image
+ * @param {number} planes - Number of bitplanes in the image
+ * @returns {Uint8Array} The delta data
+ */
+const createByteVerticalDelta = (previous, current, bytesPerLine, height, planes) => {
+  const rowStride = bytesPerLine * planes;
+  const pointers = new DataView(new ArrayBuffer(DELTA_POINTER_COUNT * 4));
+  const data = [];
+
+  for (let plane = 0; plane < planes; plane++) {
+    const planeData = [];
+    let changed = false;
+
+    for (let column = 0; column < bytesPerLine; column++) {
+      const offset = plane * bytesPerLine + column;
+      const before = [];
+      const after = [];
+      for (let y = 0; y < height; y++) {
+        before.push(previous[offset + y * rowStride]);
+        after.push(current[offset + y * rowStride]);
+      }
+      const ops = createColumnOps(before, after);
+      if (ops.length > 1) {
+        changed = true;
+      }
+      planeData.push(...ops);
+    }
+
+    // Unchanged bitplanes are indicated by a zero pointer
+    if (changed) {
+      pointers.setUint32(plane * 4, pointers.byteLength + data.length);
+      for (const byte of planeData) {
+        data.push(byte);
+      }
+    }
+  }
+
+  const delta = new Uint8Array(pointers.byteLength + data.length);
+  delta.set(new Uint8Array(pointers.buffer));
+  delta.set(data, pointers.byteLength);
+  return delta;
+};
+
+
+/**
+ * Creates the ops for a single byte column.
+ *
+ * @param {Array<number>} before - The column values of the frame being changed
+ * @param {Array<number>} after - The column values of the new frame
+ * @returns {Array<number>} The op count, followed by the ops
+ */
+const createColumnOps = (before, after) => {
+  const height = after.length;
+  const ops = [];
+  let opCount = 0;
+  let y = 0;
+
+  // Returns the number of identical values starting at `pos`
+  const getSameLength = (pos) => {
+    let length = 1;
+    while (pos + length < height && length < MAX_SAME_LENGTH && after[pos + length] === after[pos]) {
+      length++;
+    }
+    return length;
+  };
+
+  while (y < height) {
+
+    // Skip unchanged lines. Trailing unchanged lines don't need an op.
+    if (before[y] === after[y]) {
+      let length = 0;
+      while (y < height && length < MAX_OP_LENGTH && before[y] === after[y]) {
+        length++;
+        y++;
+      }
+      if (y < height) {
+        ops.push(length);
+        opCount++;
+      }
+      continue;
+    }
+
+    // Runs of 3 or more identical values are cheaper to store as a same op
+    const sameLength = getSameLength(y);
+    if (sameLength > 2) {
+      ops.push(0, sameLength, after[y]);
+      opCount++;
+      y += sameLength;
+      continue;
+    }
+
+    // Store unique values until a run of identical values is found. A single
+    // unchanged line is included, as it's cheaper than ending the op.
+    const values = [];
+    while (y < height && values.length < MAX_OP_LENGTH) {
+      if (before[y] === after[y] && (y + 1 === height || before[y + 1] === after[y + 1])) {
+        break;
+      }
+      if (values.length && getSameLength(y) > 3) {
+        break;
+      }
+      values.push(after[y]);
+      y++;
+    }
+    ops.push(0x80 | values.length, ...values);
+    opCount++;
+  }
+
+  // The op count is stored in a single byte. If a column has too many changes
+  // it's stored as unique values instead.
+  if (opCount > MAX_COLUMN_OPS) {
+    ops.length = 0;
+    opCount = 0;
+    for (let pos = 0; pos < height; pos += MAX_OP_LENGTH) {
+      const values = after.slice(pos, pos + MAX_OP_LENGTH);
+      ops.push(0x80 | values.length, ...values);
+      opCount++;
+    }
+  }
+
+  return [opCount, ...ops];
+};
@@ -0,0 +1,54 @@
+/**
+ * @typedef {import('../../../lib/IndexedPalette.js').default} IndexedPalette
+ * @typedef {import('../types.js').IffImageMetadata} IffImageMetadata
+ * @typedef {import('../types.js').IffEncodingOptions} IffEncodingOptions
+ */
+
+/**
+ * @typedef IffAnimHeader
+ * @property {number} operation The compression method used for the frame
+ * @property {number} mask XOR mode plane mask (op 1)
+ * @property {number} width Width of the changed area (op 1)
+ * @property {number} height Height of the changed area (op 1)
+ * @property {number} x Horizontal position of the changed area (op 1)
+ * @property {number} y Vertical position of the changed area (op 1)
+ * @property {number} abstime Number of jiffies since the start of the animation
+ * @property {number} reltime Number of jiffies since the previous frame
+ * @property {number} interleave Number of frames back the delta should be applied to. `0` indicates the default (`2`)
+ * @property {number} bits Option flags
+ */
+
+/**
+ * @typedef IffAnimFrame
+ * @property {ImageData} imageData The decoded frame
+ * @property {IndexedPalette|IndexedPalette[]} palette The palette, or raster palettes, for the frame
+ * @property {number} reltime Number of jiffies (1/60th of a second) to wait after the previous frame before displaying this one
+ */
+
+/**
+ * @typedef IffAnimProperties
+ * @property {number} interleave Number of frames back each delta is applied to. `1` for single buffered animations or `2` for double buffered animations
+ * @property {boolean} loop Indicates if the last `interleave` frames are copies of the first ones, used to loop back to the start
+ */
+
+/**
+ * @typedef {IffImageMetadata & IffAnimProperties} IffAnimMetadata
+ */
+
+/**
+ * @typedef IffAnim
+ * @property {Array<IffAnimFrame>} frames The animation frames
+ * @property {IffAnimMetadata} meta The animation metadata, including the metadata of the first frame
+ */
+
+/**
+ * @typedef IffAnimEncodingProperties
+ * @property {number|Array<number>} [durations=1] Number of jiffies (1/60th of a second) to display each frame for before the next one, or a single value for every frame. `durations[i]` is stored as the `reltime` of frame `i + 1`, so the last duration is only kept by looping animations
+ * @property {boolean} [loop=true] Should frames for looping back to the start be added to the end of the animation
+ */
+
+/**
+ * @typedef {IffEncodingOptions & IffAnimEncodingProperties} IffAnimEncodingOptions
+ */
+
+export default null;
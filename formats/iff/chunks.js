@@ -0,0 +1,231 @@
+import {
+  IFF_CHUNK_ID_GRAB,
+  IFF_CHUNK_ID_DPI,
+  IFF_CHUNK_ID_DEST,
+  IFF_CHUNK_ID_SPRT,
+  IFF_CHUNK_ID_ANNO,
+  IFF_CHUNK_ID_AUTH,
+  IFF_CHUNK_ID_NAME,
+  IFF_CHUNK_ID_TEXT,
+  IFF_CHUNK_ID_COPYRIGHT
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').IffRawChunk} IffRawChunk
+ * @typedef {import('./types.js').IffHotspot} IffHotspot
+ * @typedef {import('./types.js').IffDpi} IffDpi
+ * @typedef {import('./types.js').IffDestination} IffDestination
+ * @typedef {import('./types.js').IffTextAnnotation} IffTextAnnotation
+ */
+
+/** Chunks that contain text */
+const TEXT_CHUNK_IDS = [
+  IFF_CHUNK_ID_ANNO,
+  IFF_CHUNK_ID_AUTH,
+  IFF_CHUNK_ID_NAME,
+  IFF_CHUNK_ID_TEXT,
+  IFF_CHUNK_ID_COPYRIGHT
+];
+
+
+/**
+ * Reads the hotspot of a brush from a `GRAB` chunk
+ *
+ * @param {Array<IffRawChunk>} chunks - The image chunks
+ * @returns {IffHotspot|null} The hotspot, or `null` if the image doesn't have one
+ */
+export const getHotspot = (chunks) => {
+  const view = getChunkView(chunks, IFF_CHUNK_ID_GRAB);
+  if (!view) {
+    return null;
+  }
+  return {
+    x: view.getInt16(0),
+    y: view.getInt16(2)
+  };
+};
+
+
+/**
+ * Creates a `GRAB` chunk containing the hotspot of a brush
+ *
+ * @param {IffHotspot} hotspot - The hotspot
+ * @returns {IffRawChunk} The chunk
+ */
+export const createHotspotChunk = ({ x, y }) => {
+  const view = new DataView(new ArrayBuffer(4));
+  view.setInt16(0, x);
+  view.setInt16(2, y);
+  return createChunk(IFF_CHUNK_ID_GRAB, view);
+};
+
+
+/**
+ * Reads the resolution of an image from a `DPI` chunk
+ *
+ * @param {Array<IffRawChunk>} chunks - The image chunks
+ * @returns {IffDpi|null} The resolution, or `null` if the image doesn't have one
+ */
+export const getDpi = (chunks) => {
+  const view = getChunkView(chunks, IFF_CHUNK_ID_DPI);
+  if (!view) {
+    return null;
+  }
+  return {
+    x: view.getUint16(0),
+    y: view.getUint16(2)
+  };
+};
+
+
+/**
+ * Creates a `DPI` chunk containing the resolution of an image
+ *
+ * @param {IffDpi} dpi - The resolution
+ * @returns {IffRawChunk} The chunk
+ */
+export const createDpiChunk = ({ x, y }) => {
+  const view = new DataView(new ArrayBuffer(4));
+  view.setUint16(0, x);
+  view.setUint16(2, y);
+  return createChunk(IFF_CHUNK_ID_DPI, view);
+};
+
+
+/**
+ * Reads the bitplane merging settings from a `DEST` chunk
+ *
+ * @param {Array<IffRawChunk>} chunks - The image chunks
+ * @returns {IffDestination|null} The merging settings, or `null` if the image doesn't have them
+ */
+export const getDestination = (chunks) => {
+  const view = getChunkView(chunks, IFF_CHUNK_ID_DEST);
+  if (!view) {
+    return null;
+  }
+  return {
+    depth: view.getUint8(0),          // [+0x00] number of bitplanes in the destination
+    planePick: view.getUint16(2),     // [+0x02] destination planes to store source planes in
+    planeOnOff: view.getUint16(4),    // [+0x04] values of destination planes not picked
+    planeMask: view.getUint16(6)      // [+0x06] destination planes that can be changed
+  };
+};
+
+
+/**
+ * Creates a `DEST` chunk containing bitplane merging settings
+ *
+ * @param {IffDestination} destination - The merging settings
+ * @returns {IffRawChunk} The chunk
+ */
+export const createDestinationChunk = (destination) => {
+  const {
+    depth,
+    planePick,
+    planeOnOff,
+    planeMask
+  } = destination;
+  const view = new DataView(new ArrayBuffer(8));
+  view.setUint8(0, depth);
+  view.setUint16(2, planePick);
+  view.setUint16(4, planeOnOff);
+  view.setUint16(6, planeMask);
+  return createChunk(IFF_CHUNK_ID_DEST, view);
+};
+
+
+/**
+ * Reads the sprite precedence from a `SPRT` chunk
+ *
+ * @param {Array<IffRawChunk>} chunks - The image chunks
+ * @returns {number|null} The sprite precedence (`0` is the foremost), or `null` if the image isn't a sprite
+ */
+export const getSpritePrecedence = (chunks) => {
+  const view = getChunkView(chunks, IFF_CHUNK_ID_SPRT);
+  if (!view) {
+    return null;
+  }
+  return view.getUint16(0);
+};
+
+
+/**
+ * Creates a `SPRT` chunk containing the sprite precedence
+ *
+ * @param {number} precedence - The sprite precedence (`0` is the foremost)
+ * @returns {IffRawChunk} The chunk
+ */
+export const createSpritePrecedenceChunk = (precedence) => {
+  const view = new DataView(new ArrayBuffer(2));
+  view.setUint16(0, precedence);
+  return createChunk(IFF_CHUNK_ID_SPRT, view);
+};
+
+
+/**
+ * Reads the text of every `ANNO`, `AUTH`, `NAME`, `TEXT` and `(c) ` chunk
+ *
+ * @param {Array<IffRawChunk>} chunks - The image chunks
+ * @returns {Array<IffTextAnnotation>} The text annotations, in the order they're stored
+ */
+export const getTextAnnotations = (chunks) => {
+  return chunks.filter(({ id }) => TEXT_CHUNK_IDS.includes(id)).map(({ id, data }) => {
+    // Some writers terminate strings with a null byte
+    let length = data.length;
+    while (length && !data[length - 1]) {
+      length--;
+    }
+    let text = '';
+    for (let c = 0; c < length; c++) {
+      text += String.fromCharCode(data[c]);
+    }
+    return { id, text };
+  });
+};
+
+
+/**
+ * Creates a text chunk
+ *
+ * @param {string} id - The chunk identifier. One of `ANNO`, `AUTH`, `NAME`, `TEXT` or `(c) `
+ * @param {string} text - The text to store. Characters are stored as 8 bit values
+ * @returns {IffRawChunk} The chunk
+ */
+export const createTextChunk = (id, text) => {
+  return {
+    id,
+    data: Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff)
+  };
+};
+
+
+/**
+ * Returns a `DataView` of the first chunk with a matching identifier
+ *
+ * @param {Array<IffRawChunk>} chunks - The chunks to search
+ * @param {string} id - The chunk identifier
+ * @returns {DataView|null} The chunk data, or `null` if there's no matching chunk
+ */
+const getChunkView = (chunks, id) => {
+  const chunk = chunks.find((chunk) => chunk.id === id);
+  if (!chunk) {
+    return null;
+  }
+  const { data } = chunk;
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+};
+
+
+/**
+ * Creates a chunk from a `DataView`
+ *
+ * @param {string} id - The chunk identifier
+ * @param {DataView} view - The chunk data
+ * @returns {IffRawChunk} The chunk
+ */
+const createChunk = (id, view) => {
+  return {
+    id,
+    data: new Uint8Array(view.buffer)
+  };
+};
@@ -7,6 +7,21 @@ export const COMPRESSION_PACKBITS = 1;
 /** Data is compressed using the Atari ST method (VDAT chunks in BODY) */
 export const COMPRESSION_ATARI = 2;
 
+/** Data is compressed using the Impulse run-length method (RGBN and RGB8) */
+export const COMPRESSION_IMPULSE = 4;
+
+/** Image has no mask */
+export const MASK_NONE = 0;
+
+/** Image has a mask plane interleaved with the bitplanes */
+export const MASK_HAS_MASK = 1;
+
+/** Image uses a palette color to indicate transparent pixels */
+export const MASK_HAS_TRANSPARENT_COLOR = 2;
+
+/** Image uses lasso masking (used by drawing programs) */
+export const MASK_LASSO = 3;
+
 /** Image uses the Amiga Extra Half-Brite display mode */
 export const AMIGA_MODE_EHB = 0x0080;
 
@@ -19,9 +34,69 @@ export const AMIGA_MODE_HIRES = 0x8000;
 /** Image uses the Amiga interlaced display mode */
 export const AMIGA_MODE_LACE = 0x0004;
 
+/** Image uses the Amiga super high resolution display mode */
+export const AMIGA_MODE_SUPERHIRES = 0x0020;
+
+/** Image uses the Amiga double scan display mode */
+export const AMIGA_MODE_DOUBLESCAN = 0x0008;
+
+/** Image uses the Amiga dual playfield display mode */
+export const AMIGA_MODE_DUALPF = 0x0400;
+
+/** The second playfield of a dual playfield image has priority */
+export const AMIGA_MODE_PFBA = 0x0040;
+
+/** The mode ID contains a monitor ID */
+export const AMIGA_MODE_EXTENDED = 0x1000;
+
+/** 
+ * Mode bits that are only valid for extended mode IDs. Older software often
+ * stored garbage in these bits.
+ */
+export const AMIGA_MODE_EXTENDED_ONLY = 0x1000 | 0x4000 | 0x2000 | 0x0100 | 0x0002;
+
+/** Mask for the monitor ID part of an Amiga mode ID */
+export const AMIGA_MONITOR_ID_MASK = 0xffff1000;
+
+/** Default monitor */
+export const AMIGA_MONITOR_ID_DEFAULT = 0x00000000;
+
+/** NTSC monitor */
+export const AMIGA_MONITOR_ID_NTSC = 0x00011000;
+
+/** PAL monitor */
+export const AMIGA_MONITOR_ID_PAL = 0x00021000;
+
+/** Multiscan (VGA) monitor */
+export const AMIGA_MONITOR_ID_MULTISCAN = 0x00031000;
+
+/** A2024 monitor */
+export const AMIGA_MONITOR_ID_A2024 = 0x00041000;
+
+/** Euro 72Hz monitor */
+export const AMIGA_MONITOR_ID_EURO72 = 0x00061000;
+
+/** Euro 36Hz monitor */
+export const AMIGA_MONITOR_ID_EURO36 = 0x00071000;
+
+/** Super 72Hz monitor */
+export const AMIGA_MONITOR_ID_SUPER72 = 0x00081000;
+
+/** Double NTSC monitor */
+export const AMIGA_MONITOR_ID_DBLNTSC = 0x00091000;
+
+/** Double PAL monitor */
+export const AMIGA_MONITOR_ID_DBLPAL = 0x000a1000;
+
 export const IFF_CHUNK_ID_FORM = 'FORM';
+export const IFF_CHUNK_ID_CAT = 'CAT ';
+export const IFF_CHUNK_ID_LIST = 'LIST';
+export const IFF_CHUNK_ID_PROP = 'PROP';
 export const IFF_CHUNK_ID_ILBM = 'ILBM';
 export const IFF_CHUNK_ID_ACBM = 'ACBM';
+export const IFF_CHUNK_ID_PBM = 'PBM ';
+export const IFF_CHUNK_ID_RGBN = 'RGBN';
+export const IFF_CHUNK_ID_RGB8 = 'RGB8';
 export const IFF_CHUNK_ID_RAST = 'RAST';
 export const IFF_CHUNK_ID_BMHD = 'BMHD';
 export const IFF_CHUNK_ID_CAMG = 'CAMG';
@@ -30,6 +105,9 @@ export const IFF_CHUNK_ID_ABIT = 'ABIT';
 export const IFF_CHUNK_ID_BODY = 'BODY';
 export const IFF_CHUNK_ID_VDAT = 'VDAT';
 
+/** Contents type of a `CAT ` or `LIST` that contains mixed `FORM` types */
+export const IFF_CHUNK_ID_MIXED = '    ';
+
 /** Newtek Dynamic HAM color chunk (Amiga) */
 export const IFF_CHUNK_ID_CTBL = 'CTBL';
 
@@ -39,5 +117,71 @@ export const IFF_CHUNK_ID_BEAM = 'BEAM';
 /** Sliced HAM (Amiga). Per-scaline palette changes */
 export const IFF_CHUNK_ID_SHAM = 'SHAM';
 
+/** Palette changes. Per-scanline changes to any palette register */
+export const IFF_CHUNK_ID_PCHG = 'PCHG';
+
+/** Deluxe Paint color cycling range */
+export const IFF_CHUNK_ID_CRNG = 'CRNG';
+
+/** Graphicraft color cycling range */
+export const IFF_CHUNK_ID_CCRT = 'CCRT';
+
+/** Deluxe Paint IV color cycling range. Supports true color and register cells */
+export const IFF_CHUNK_ID_DRNG = 'DRNG';
+
+/** Hotspot of a brush */
+export const IFF_CHUNK_ID_GRAB = 'GRAB';
+
+/** Resolution the image was created at, in dots per inch */
+export const IFF_CHUNK_ID_DPI = 'DPI ';
+
+/** How the bitplanes should be merged into a destination image */
+export const IFF_CHUNK_ID_DEST = 'DEST';
+
+/** Sprite precedence */
+export const IFF_CHUNK_ID_SPRT = 'SPRT';
+
+/** Text annotation */
+export const IFF_CHUNK_ID_ANNO = 'ANNO';
+
+/** Name of the author */
+export const IFF_CHUNK_ID_AUTH = 'AUTH';
+
+/** Name of the image */
+export const IFF_CHUNK_ID_NAME = 'NAME';
+
+/** Unformatted text */
+export const IFF_CHUNK_ID_TEXT = 'TEXT';
+
+/** Copyright notice */
+export const IFF_CHUNK_ID_COPYRIGHT = '(c) ';
+
+/** `CRNG` and `DRNG` flag indicating the color cycling range is active */
+export const COLOR_CYCLE_FLAG_ACTIVE = 0x01;
+
+/** `CRNG` flag indicating the colors are cycled in reverse */
+export const COLOR_CYCLE_FLAG_REVERSE = 0x02;
+
+/** `CRNG` and `DRNG` rate value equal to 60 steps per second */
+export const COLOR_CYCLE_RATE_SCALE = 16384;
+
+/** `PCHG` line data is uncompressed */
+export const PCHG_COMPRESSION_NONE = 0;
+
+/** `PCHG` line data is Huffman compressed */
+export const PCHG_COMPRESSION_HUFFMAN = 1;
+
+/** `PCHG` lines contain 12 bit changes to palette registers 0 to 31 */
+export const PCHG_FLAG_SMALL_LINES = 0x01;
+
+/** `PCHG` lines contain 24 bit changes to any palette register */
+export const PCHG_FLAG_BIG_LINES = 0x02;
+
+/** `PCHG` big line changes include an alpha value */
+export const PCHG_FLAG_USE_ALPHA = 0x04;
+
 export const IFF_ENCODING_FORMAT_ILBM = 'ilbm';
 export const IFF_ENCODING_FORMAT_ACBM = 'acbm';
+export const IFF_ENCODING_FORMAT_PBM = 'pbm';
+export const IFF_ENCODING_FORMAT_RGBN = 'rgbn';
+export const IFF_ENCODING_FORMAT_RGB8 = 'rgb8';
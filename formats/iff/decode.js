@@ -1,10 +1,11 @@
 import HamReader from './HamReader.js';
 import IffChunkReader from './IffChunkReader.js';
 import { depack as depackPackBits } from '../../compression/packbits.js';
+import { depack as depackHuffman } from '../../compression/huffman.js';
 import { ENCODING_FORMAT_CONTIGUOUS, ENCODING_FORMAT_LINE } from '../../consts.js';
 import { readAtariStIndexedPalette, createEhbPalette } from '../../IndexedPaletteHelpers.js';
 
-import { decode } from '../../decode.js';
+import { decodeIndexed, renderIndexedImage } from '../../decode.js';
 import IndexedPalette from '../../lib/IndexedPalette.js';
 import ImageDataIndexedPaletteWriter from '../../lib/ImageDataIndexedPaletteWriter.js';
 import PlanarCoderError from '../../lib/PlanarCoderError.js';
@@ -14,13 +15,27 @@ import {
   COMPRESSION_NONE,
   COMPRESSION_PACKBITS,
   COMPRESSION_ATARI,
+  COMPRESSION_IMPULSE,
   AMIGA_MODE_EHB,
   AMIGA_MODE_HAM,
   AMIGA_MODE_HIRES,
   AMIGA_MODE_LACE,
+  AMIGA_MODE_SUPERHIRES,
+  AMIGA_MODE_DOUBLESCAN,
+  AMIGA_MODE_DUALPF,
+  AMIGA_MODE_PFBA,
+  AMIGA_MODE_EXTENDED,
+  AMIGA_MODE_EXTENDED_ONLY,
+  AMIGA_MONITOR_ID_MASK,
   IFF_CHUNK_ID_FORM,
+  IFF_CHUNK_ID_CAT,
+  IFF_CHUNK_ID_LIST,
+  IFF_CHUNK_ID_PROP,
   IFF_CHUNK_ID_ILBM,
   IFF_CHUNK_ID_ACBM,
+  IFF_CHUNK_ID_PBM,
+  IFF_CHUNK_ID_RGBN,
+  IFF_CHUNK_ID_RGB8,
   IFF_CHUNK_ID_RAST,
   IFF_CHUNK_ID_BMHD,
   IFF_CHUNK_ID_CMAP,
@@ -30,22 +45,56 @@ import {
   IFF_CHUNK_ID_VDAT,
   IFF_ENCODING_FORMAT_ACBM,
   IFF_ENCODING_FORMAT_ILBM,
+  IFF_ENCODING_FORMAT_PBM,
+  IFF_ENCODING_FORMAT_RGBN,
+  IFF_ENCODING_FORMAT_RGB8,
   IFF_CHUNK_ID_CTBL,
   IFF_CHUNK_ID_BEAM,
-  IFF_CHUNK_ID_SHAM
+  IFF_CHUNK_ID_SHAM,
+  IFF_CHUNK_ID_PCHG,
+  IFF_CHUNK_ID_CRNG,
+  IFF_CHUNK_ID_CCRT,
+  IFF_CHUNK_ID_DRNG,
+  COLOR_CYCLE_FLAG_ACTIVE,
+  COLOR_CYCLE_FLAG_REVERSE,
+  COLOR_CYCLE_RATE_SCALE,
+  PCHG_COMPRESSION_NONE,
+  PCHG_COMPRESSION_HUFFMAN,
+  PCHG_FLAG_SMALL_LINES,
+  PCHG_FLAG_BIG_LINES,
+  PCHG_FLAG_USE_ALPHA,
+  MASK_HAS_MASK,
+  MASK_HAS_TRANSPARENT_COLOR
 } from './consts.js';
 
 /**
  * @typedef {import('./types.js').IffImage} IffImage
  * @typedef {import('./types.js').IffImageMetadata} IffImageMetadata
+ * @typedef {import('./types.js').IffImageState} IffImageState
+ * @typedef {import('./types.js').IffColorCycle} IffColorCycle
+ * @typedef {import('./types.js').IffAmigaMode} IffAmigaMode
+ * @typedef {import('./types.js').IffPaletteChange} IffPaletteChange
  */
 
+/** Maps `FORM` types to encoding formats */
+const IFF_ENCODING_FORMATS = {
+  [IFF_CHUNK_ID_ILBM]: IFF_ENCODING_FORMAT_ILBM,
+  [IFF_CHUNK_ID_ACBM]: IFF_ENCODING_FORMAT_ACBM,
+  [IFF_CHUNK_ID_PBM]: IFF_ENCODING_FORMAT_PBM,
+  [IFF_CHUNK_ID_RGBN]: IFF_ENCODING_FORMAT_RGBN,
+  [IFF_CHUNK_ID_RGB8]: IFF_ENCODING_FORMAT_RGB8
+};
+
 /**
  * Decodes an IFF image and returns a ImageData object containing the
  * converted data. Supports:
- * - ILBM and ACBM formats
+ * - ILBM, ACBM and PBM formats
+ * - Impulse RGBN and RGB8 true color formats
  * - Amiga Extra Half Brite (EHB)
  * - Amiga HAM6/8
+ * - Deep (24 and 32 bitplane) true color images
+ * - Mask planes and transparent colors
+ * - Color cycling ranges (CRNG, CCRT and DRNG)
  * - Compression (Uncompressed, Packbits and Atari ST vertical RLE)
  * 
  * @param {ArrayBuffer} buffer - An array buffer containing the IFF image
@@ -53,20 +102,8 @@ import {
  */
 export default (buffer) => {
 
-  let compression;
-  let width;
-  let height;
-  let planes;
-  let palette;
-  let amigaMode;
-  let bytesPerLine;
-  let bitplaneData;
-  let bitplaneEncoding;
-  let xAspectRatio;
-  let yAspectRatio;
-  let pageWidth;
-  let pageHeight;
   let rasters = [];
+  let rasterChunk;
 
   const reader = new IffChunkReader(buffer);
 
@@ -78,7 +115,7 @@ export default (buffer) => {
 
   // Is this a bitmap image?
   const type = formChunk.reader.readString(4);
-  if (type !== IFF_CHUNK_ID_ILBM && type !== IFF_CHUNK_ID_ACBM) {
+  if (!IFF_ENCODING_FORMATS[type]) {
     error();
   }
 
@@ -94,12 +131,84 @@ export default (buffer) => {
     // A valid `RAST` chunk is exactly 6800 bytes. (34 bytes * 200 lines)
     if (chunkId === IFF_CHUNK_ID_RAST && chunkSize === 6800) {
       rasters = extractRasterData(reader.readChunk().reader);  
+      rasterChunk = IFF_CHUNK_ID_RAST;
     }
   }
 
+  return renderIffImage(readIffImage(formChunk.reader, type, { rasters, rasterChunk }));
+};
+
+
+/**
+ * Decodes every image in an IFF file. As well as single `FORM` files, this
+ * supports `CAT ` and `LIST` files containing several images, such as brush
+ * collections. Properties stored in the `PROP` chunks of a `LIST` (such as the
+ * `BMHD` and `CMAP`) are shared by the images in the `LIST` that don't set
+ * them. `FORM` types other than ILBM, ACBM, PBM, RGBN and RGB8 are ignored.
+ * 
+ * @param {ArrayBuffer} buffer - An array buffer containing the IFF file
+ * @returns {Array<IffImage>} The decoded images, in the order they're stored
+ */
+export const decodeAll = (buffer) => {
+  const reader = new IffChunkReader(buffer);
+  const { id, reader: chunkReader } = reader.readChunk();
+  if (id !== IFF_CHUNK_ID_FORM && id !== IFF_CHUNK_ID_CAT && id !== IFF_CHUNK_ID_LIST) {
+    error();
+  }
+
+  const images = [];
+  readGroup(id, chunkReader, {}, images);
+  if (!images.length) {
+    error();
+  }
+  return images;
+};
+
+
+/**
+ * Reads the chunks of an IFF image `FORM` without converting the bitplane data
+ * into `ImageData`. Properties that aren't set by the chunks are taken from 
+ * `image`, which allows animation frames to inherit the properties of the
+ * frames before them. Chunks that aren't used to decode the image are returned
+ * in the `chunks` property, in the order they were read.
+ * 
+ * @param {IffChunkReader} formReader - A reader for the `FORM` chunk contents, positioned after the type identifier
+ * @param {string} type - The `FORM` type identifier
+ * @param {IffImageState} [image] - Initial image properties
+ * @returns {IffImageState} The image properties and bitplane data
+ */
+export const readIffImage = (formReader, type, image = {}) => {
+
+  let {
+    compression,
+    width,
+    height,
+    planes,
+    bodyPlanes,
+    mask,
+    transparentColor,
+    palette,
+    amigaMode,
+    bytesPerLine,
+    bitplaneData,
+    bitplaneEncoding,
+    xAspectRatio,
+    yAspectRatio,
+    pageWidth,
+    pageHeight,
+    rasters = [],
+    rasterChunk
+  } = image;
+
+  const chunks = [];
+  const colorCycles = [];
+
+  /** @type {Array<IffPaletteChange>} */
+  let paletteChanges;
+
   // Decode the image chunks
-  while (!formChunk.reader.eof()) {
-    const { id, reader, length } = formChunk.reader.readChunk();
+  while (!formReader.eof()) {
+    const { id, reader, length } = formReader.readChunk();
 
     // Parse the bitmap header.
     if (id === IFF_CHUNK_ID_BMHD) {
@@ -108,25 +217,38 @@ export default (buffer) => {
       reader.readUint16();                  // [+0x04] x-origin
       reader.readUint16();                  // [+0x06] y-origin
       planes = reader.readUint8();          // [+0x08] number of planes
-      reader.readUint8();                   // [+0x09] mask  
+      mask = reader.readUint8();            // [+0x09] mask  
       compression = reader.readUint8();     // [+0x0A] compression mode
       reader.readUint8();                   // [+0x0B] padding byte
-      reader.readUint16();                  // [+0x0C] transparency
+      transparentColor = reader.readUint16(); // [+0x0C] transparency
       xAspectRatio = reader.readUint8();    // [+ox0E] X aspect
       yAspectRatio = reader.readUint8();    // [+0x0F] Y aspect
       pageWidth = reader.readUint16();      // [+0x10] page width
       pageHeight = reader.readUint16();     // [+0x12] page height
 
-      bytesPerLine = Math.ceil(width / 16) * 2;
+      // PBM images store a byte per pixel, with lines padded to an even length
+      if (type === IFF_CHUNK_ID_PBM) {
+        bytesPerLine = width + (width & 1);
+      } else {
+        bytesPerLine = Math.ceil(width / 16) * 2;
+      }
+
+      // Images with a mask store it as an extra bitplane
+      bodyPlanes = mask === MASK_HAS_MASK ? planes + 1 : planes;
     } 
 
-    // The CAMG chunk. Contains Amiga mode meta data
-    // - bit 3  -- Lace mode
+    // The CAMG chunk. Contains the Amiga display mode ID
+    // - bit 2  -- Lace mode
+    // - bit 3  -- Double scan mode
+    // - bit 5  -- Super hires mode
+    // - bit 6  -- Playfield 2 has priority
     // - bit 7  -- EHB (Extra Half-Brite) mode
+    // - bit 10 -- Dual playfield mode
     // - bit 11 -- HAM Hold-And-Modify)
+    // - bit 12 -- Extended mode. The upper word contains a monitor ID
     // - bit 15 -- Hires mode
     else if (id === IFF_CHUNK_ID_CAMG) {
-      amigaMode = reader.readUint32();
+      amigaMode = sanitizeAmigaModeId(reader.readUint32());
     }
 
     // The colour map. Stores the indexed palette.
@@ -147,6 +269,7 @@ export default (buffer) => {
         reader.readUint16(); 
       }
       rasters = [];
+      rasterChunk = id;
       const paletteCount = (reader.byteLength - reader.position) / 32;
       for (let paletteIndex = 0; paletteIndex < paletteCount; paletteIndex++) {
         const linePalette = new IndexedPalette(16, { bitsPerChannel: 4 });
@@ -164,6 +287,18 @@ export default (buffer) => {
     // NEOChrome Master ST rasters.
     else if (id === IFF_CHUNK_ID_RAST) {
       rasters = extractRasterData(reader);
+      rasterChunk = id;
+    }
+
+    // Palette changes. These are applied to the color map once all chunks have
+    // been read, as the `CMAP` chunk can be stored after the `PCHG` chunk.
+    else if (id === IFF_CHUNK_ID_PCHG) {
+      paletteChanges = readPaletteChanges(reader);
+    }
+
+    // Color cycling ranges
+    else if (id === IFF_CHUNK_ID_CRNG || id === IFF_CHUNK_ID_CCRT || id === IFF_CHUNK_ID_DRNG) {
+      colorCycles.push(readColorCycle(id, reader));
     }
 
     // ABIT - ACBM bitmap data
@@ -179,16 +314,36 @@ export default (buffer) => {
     // implementations don't follow the spec properly and write the BODY chunk 
     // before other data.
     else if (id === IFF_CHUNK_ID_BODY) {
+
+      // Impulse images contain run-length encoded pixels rather than 
+      // bitplanes. These are decoded when the image is rendered.
+      if (type === IFF_CHUNK_ID_RGBN || type === IFF_CHUNK_ID_RGB8) {
+        if (compression !== COMPRESSION_IMPULSE) {
+          error();
+        }
+        bitplaneData = reader.readBytes(length);
+      }
+
+      // PBM images contain chunky pixel data rather than bitplanes
+      else if (type === IFF_CHUNK_ID_PBM) {
+        if (compression === COMPRESSION_NONE) {
+          bitplaneData = reader.readBytes(length);
+        } else if (compression === COMPRESSION_PACKBITS) {
+          bitplaneData = depackPackBits(reader.readBytes(length), bytesPerLine * height);
+        } else {
+          error();
+        }
+      }
       
       // No compression. Images are stored in line-interleaved format.
-      if (compression === COMPRESSION_NONE) {
+      else if (compression === COMPRESSION_NONE) {
         bitplaneData = reader.readBytes(length);
         bitplaneEncoding = ENCODING_FORMAT_LINE;
       }
 
       // Run-length encoded (Packbits)
       else if (compression === COMPRESSION_PACKBITS) {
-        const outSize = bytesPerLine * height * planes;
+        const outSize = bytesPerLine * height * bodyPlanes;
         bitplaneData = depackPackBits(reader.readBytes(length), outSize);
         bitplaneEncoding = ENCODING_FORMAT_LINE;
       }
@@ -197,7 +352,7 @@ export default (buffer) => {
       // which are run-length encoded in 16 pixel vertical strips.
       else if (compression === COMPRESSION_ATARI) {
         const bytesPerPlane = bytesPerLine * height;
-        const buffer = new Uint8Array(bytesPerPlane * planes);
+        const buffer = new Uint8Array(bytesPerPlane * bodyPlanes);
         let offset = 0;
 
         // Each bitplane is stored in its own "VDAT" chunk. The data in these
@@ -216,16 +371,95 @@ export default (buffer) => {
         bitplaneEncoding = ENCODING_FORMAT_CONTIGUOUS;
       }
     }
+
+    // Chunks that aren't used to decode the image are kept so they can be
+    // written back when the image is encoded.
+    else {
+      chunks.push({ id, data: new Uint8Array(reader.readBytes(length)) });
+    }
   }
 
+  if (paletteChanges) {
+    rasters = createPaletteChangeRasters(palette, paletteChanges, height);
+    rasterChunk = IFF_CHUNK_ID_PCHG;
+  }
+
+  return {
+    type,
+    compression,
+    width,
+    height,
+    planes,
+    bodyPlanes,
+    mask,
+    transparentColor,
+    palette,
+    amigaMode,
+    bytesPerLine,
+    bitplaneData,
+    bitplaneEncoding,
+    xAspectRatio,
+    yAspectRatio,
+    pageWidth,
+    pageHeight,
+    rasters,
+    rasterChunk,
+    colorCycles: colorCycles.length ? colorCycles : image.colorCycles || [],
+    chunks
+  };
+};
+
+
+/**
+ * Converts an image read by `readIffImage` into `ImageData`
+ * 
+ * @param {IffImageState} image - The image properties and bitplane data
+ * @returns {IffImage} The decoded image
+ */
+export const renderIffImage = (image) => {
+
+  const {
+    type,
+    compression,
+    width,
+    height,
+    planes,
+    mask,
+    transparentColor,
+    amigaMode,
+    bytesPerLine,
+    bitplaneEncoding,
+    xAspectRatio,
+    yAspectRatio,
+    pageWidth,
+    pageHeight,
+    rasters,
+    rasterChunk,
+    colorCycles = [],
+    chunks = []
+  } = image;
+
+  let {
+    bitplaneData,
+    palette
+  } = image;
+
   // Assert that we have all the required structures before we try to convert
   // the image into an `ImageData` object.
 
-  // FIXME: Only indexed palette images are currently supported
-  if (!bitplaneData || !palette) {
+  // Deep and Impulse images store RGB(A) values so don't need a palette
+  const deep = planes === 24 || planes === 32;
+  const impulse = type === IFF_CHUNK_ID_RGBN || type === IFF_CHUNK_ID_RGB8;
+  if (!bitplaneData || (!palette && !deep && !impulse)) {
     error();
   }
 
+  // Separate the mask from the bitplane data
+  let maskData;
+  if (mask === MASK_HAS_MASK && type !== IFF_CHUNK_ID_PBM && !impulse) {
+    ({ bitplaneData, maskData } = extractMaskPlane(bitplaneData, bitplaneEncoding, bytesPerLine, height, planes));
+  }
+
   // If the image uses the Amiga's Extra Half-Brite mode then force the palette
   // to contain a maximum of 32 entires as some images contain extra color data 
   // in the CMAP chunk.
@@ -237,6 +471,9 @@ export default (buffer) => {
   // palette.
   let imageData = new ImageData(width, height);
 
+  /** @type {import('../../types.js').IndexedImage} */
+  let indices;
+
   /** @type {IffImageMetadata} */
   const meta = {
     compression,
@@ -244,12 +481,17 @@ export default (buffer) => {
     yAspectRatio,
     pageWidth,
     pageHeight,
-    encoding: bitplaneEncoding === ENCODING_FORMAT_LINE ? IFF_ENCODING_FORMAT_ILBM : IFF_ENCODING_FORMAT_ACBM,
+    encoding: IFF_ENCODING_FORMATS[type],
     amigaLace: !!(amigaMode & AMIGA_MODE_LACE),
     amigaEhb: !!(amigaMode & AMIGA_MODE_EHB),
     amigaHam: !!(amigaMode & AMIGA_MODE_HAM),
     amigaHires: !!(amigaMode & AMIGA_MODE_HIRES),
     planeCount: planes,
+    amigaMode: parseAmigaModeId(amigaMode),
+    mask,
+    transparentColor,
+    colorCycles,
+    chunks,
     palette
   };
 
@@ -259,8 +501,23 @@ export default (buffer) => {
     palette = createEhbPalette(palette);
   }
 
+  // This is an Impulse true color image.
+  if (impulse) {
+    imageData = decodeImpulseImage(bitplaneData, width, height, type);
+  }
+
+  // This is a chunky image.
+  else if (type === IFF_CHUNK_ID_PBM) {
+    indices = decodeChunkyImage(bitplaneData, width, height, bytesPerLine);
+  }
+
+  // This is a true color image.
+  else if (deep) {
+    imageData = decodeDeepImage(bitplaneData, width, height, planes, bitplaneEncoding);
+  }
+
   // This is an Amiga HAM image.
-  if (amigaMode & AMIGA_MODE_HAM) {
+  else if (amigaMode & AMIGA_MODE_HAM) {
     // Is this is a sliced HAM?
     if (rasters.length) {
       let colors = rasters;
@@ -286,11 +543,31 @@ export default (buffer) => {
   } 
   
   else {
-    imageData = decode(new Uint8Array(bitplaneData), Math.ceil(width / 16) * 16, height, palette, { format: bitplaneEncoding });
+    indices = decodeIndexed(new Uint8Array(bitplaneData), Math.ceil(width / 16) * 16, height, { format: bitplaneEncoding, planes });
+  }
+
+  // Images that map pixels directly to a single palette also return the
+  // palette indexes, which are needed for color cycling. EHB images use colors
+  // that aren't in `meta.palette`, so their indexes aren't returned.
+  if (indices) {
+    imageData = renderIndexedImage(indices, palette);
+    if (!(amigaMode & AMIGA_MODE_EHB)) {
+      meta.indices = indices;
+    }
   }
 
   if (rasters.length) {
     meta.palette = rasters;
+    meta.rasterChunk = rasterChunk;
+  }
+
+  // Make masked pixels transparent
+  if (maskData) {
+    applyMask(imageData, maskData, bytesPerLine);
+  } else if (mask === MASK_HAS_TRANSPARENT_COLOR && type === IFF_CHUNK_ID_PBM) {
+    applyChunkyTransparentColor(imageData, bitplaneData, bytesPerLine, transparentColor);
+  } else if (mask === MASK_HAS_TRANSPARENT_COLOR && !impulse) {
+    applyTransparentColor(imageData, bitplaneData, bitplaneEncoding, bytesPerLine, planes, transparentColor);
   }
 
   return {
@@ -378,6 +655,93 @@ const depackVdatChunk = (reader, bytesPerLine, height) => {
 };
 
 
+/**
+ * Splits the mask plane from the bitplane data of an image. Line-interleaved
+ * images store the mask after the bitplanes of each line, whereas contiguous
+ * images store it after the last bitplane.
+ * 
+ * @param {ArrayBuffer} bitplaneData - The bitplane data, including the mask
+ * @param {import('../../types.js').BitplaneEncodingFormat} encoding - The bitplane encoding format
+ * @param {number} bytesPerLine - Number of bytes in a bitplane scanline
+ * @param {number} height - Number of vertical pixels in the image
+ * @param {number} planes - Number of bitplanes, excluding the mask
+ * @returns {{bitplaneData: ArrayBuffer, maskData: Uint8Array}} The bitplane data and the mask
+ */
+const extractMaskPlane = (bitplaneData, encoding, bytesPerLine, height, planes) => {
+  const source = new Uint8Array(bitplaneData);
+  const imageBytes = new Uint8Array(bytesPerLine * height * planes);
+  const maskData = new Uint8Array(bytesPerLine * height);
+
+  if (encoding === ENCODING_FORMAT_LINE) {
+    const imageLineLength = bytesPerLine * planes;
+    for (let y = 0; y < height; y++) {
+      const offset = y * (imageLineLength + bytesPerLine);
+      imageBytes.set(source.subarray(offset, offset + imageLineLength), y * imageLineLength);
+      maskData.set(source.subarray(offset + imageLineLength, offset + imageLineLength + bytesPerLine), y * bytesPerLine);
+    }
+  } else {
+    imageBytes.set(source.subarray(0, imageBytes.length));
+    maskData.set(source.subarray(imageBytes.length, imageBytes.length + maskData.length));
+  }
+
+  return {
+    bitplaneData: imageBytes.buffer,
+    maskData
+  };
+};
+
+
+/**
+ * Sets the alpha channel of pixels that are clear in the mask plane to zero
+ * 
+ * @param {ImageData} imageData - The decoded image
+ * @param {Uint8Array} maskData - The mask plane
+ * @param {number} bytesPerLine - Number of bytes in a mask scanline
+ */
+const applyMask = (imageData, maskData, bytesPerLine) => {
+  const { width, height, data } = imageData;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!(maskData[y * bytesPerLine + (x >> 3)] & (0x80 >> (x & 7)))) {
+        data[(y * width + x) * 4 + 3] = 0;
+      }
+    }
+  }
+};
+
+
+/**
+ * Sets the alpha channel of pixels that use the transparent color to zero
+ * 
+ * @param {ImageData} imageData - The decoded image
+ * @param {ArrayBuffer} bitplaneData - The bitplane data
+ * @param {import('../../types.js').BitplaneEncodingFormat} encoding - The bitplane encoding format
+ * @param {number} bytesPerLine - Number of bytes in a bitplane scanline
+ * @param {number} planes - Number of bitplanes
+ * @param {number} transparentColor - The palette index of the transparent color
+ */
+const applyTransparentColor = (imageData, bitplaneData, encoding, bytesPerLine, planes, transparentColor) => {
+  const { width, height, data } = imageData;
+  const planeWidth = bytesPerLine * 8;
+  let reader;
+
+  if (encoding === ENCODING_FORMAT_LINE) {
+    reader = BitplaneReader.line(new Uint8Array(bitplaneData), planes, planeWidth);
+  } else {
+    reader = BitplaneReader.contiguous(new Uint8Array(bitplaneData), planes, planeWidth, height);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (reader.read() === transparentColor) {
+        data[(y * width + x) * 4 + 3] = 0;
+      }
+    }
+    reader.advance(planeWidth - width);
+  }
+};
+
+
 /**
  * Parses an Atari ST `RAST` chunk
  * 
@@ -456,6 +820,159 @@ const decodeSlicedHamImage = (bitplaneData, width, height, planes, palette) => {
 };
 
 
+/**
+ * Decodes an Impulse RGBN or RGB8 image. Pixels are stored as runs of a color
+ * followed by a repeat count. `RGBN` images store 4 bit channels and a 3 bit
+ * count in a word. `RGB8` images store 8 bit channels followed by a byte with
+ * a 7 bit count. A count of zero means the count is stored in the next byte
+ * or, if that's also zero, the next word. Pixels with the genlock bit set are
+ * made transparent.
+ * 
+ * @param {ArrayBuffer} pixelData A buffer containing the compressed pixel data
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {string} type The `FORM` type identifier (`RGBN` or `RGB8`)
+ * @returns {ImageData} A `ImageData` object containing the decoded data
+ */
+const decodeImpulseImage = (pixelData, width, height, type) => {
+  const imageData = new ImageData(width, height);
+  const pixels = new DataView(imageData.data.buffer);
+  const view = new DataView(pixelData);
+  const pixelCount = width * height;
+  let pixel = 0;
+  let pos = 0;
+
+  while (pixel < pixelCount && pos < view.byteLength) {
+    let color;
+    let genlock;
+    let count;
+
+    if (type === IFF_CHUNK_ID_RGB8) {
+      const value = view.getUint8(pos + 3);
+      color = view.getUint32(pos) & 0xffffff00;
+      genlock = value & 0x80;
+      count = value & 0x7f;
+      pos += 4;
+    } else {
+      const value = view.getUint16(pos);
+      color = (
+        ((value >> 12) & 0xf) * 0x11000000 +
+        ((value >> 8) & 0xf) * 0x110000 +
+        ((value >> 4) & 0xf) * 0x1100
+      );
+      genlock = value & 0x08;
+      count = value & 0x07;
+      pos += 2;
+    }
+
+    if (!count) {
+      count = view.getUint8(pos++);
+      if (!count) {
+        count = view.getUint16(pos);
+        pos += 2;
+      }
+    }
+
+    if (!genlock) {
+      color |= 0xff;
+    }
+
+    while (count-- && pixel < pixelCount) {
+      pixels.setUint32(pixel++ * 4, color);
+    }
+  }
+
+  return imageData;
+};
+
+
+/**
+ * Decodes a PBM (chunky) image. Each pixel is stored as a byte containing its
+ * palette index.
+ * 
+ * @param {ArrayBuffer} pixelData A buffer containing the pixel data
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {number} bytesPerLine Number of bytes in a scanline
+ * @returns {import('../../types.js').IndexedImage} The palette indexes of the image
+ */
+const decodeChunkyImage = (pixelData, width, height, bytesPerLine) => {
+  const pixels = new Uint8Array(pixelData);
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    data.set(pixels.subarray(y * bytesPerLine, y * bytesPerLine + width), y * width);
+  }
+  return {
+    width,
+    height,
+    data
+  };
+};
+
+
+/**
+ * Sets the alpha channel of pixels in a PBM (chunky) image that use the 
+ * transparent color to zero
+ * 
+ * @param {ImageData} imageData - The decoded image
+ * @param {ArrayBuffer} pixelData - The pixel data
+ * @param {number} bytesPerLine - Number of bytes in a scanline
+ * @param {number} transparentColor - The palette index of the transparent color
+ */
+const applyChunkyTransparentColor = (imageData, pixelData, bytesPerLine, transparentColor) => {
+  const { width, height, data } = imageData;
+  const pixels = new Uint8Array(pixelData);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * bytesPerLine + x] === transparentColor) {
+        data[(y * width + x) * 4 + 3] = 0;
+      }
+    }
+  }
+};
+
+
+/**
+ * Decodes a deep (true color) image. The first 8 bitplanes contain the red
+ * channel, followed by 8 bitplanes for the green and blue channels. 32 plane
+ * images have another 8 bitplanes for the alpha channel.
+ * 
+ * @param {ArrayBuffer} bitplaneData A buffer containing the raw bitplane data
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {number} planes The number of bitplanes for the image (24 or 32)
+ * @param {import('../../types.js').BitplaneEncodingFormat} encoding The bitplane encoding format
+ * @returns {ImageData} A `ImageData` object containing the decoded data
+ */
+const decodeDeepImage = (bitplaneData, width, height, planes, encoding) => {
+  const imageData = new ImageData(width, height);
+  const planeWidth = Math.ceil(width / 16) * 16;
+  const { data } = imageData;
+  let reader;
+
+  if (encoding === ENCODING_FORMAT_LINE) {
+    reader = BitplaneReader.line(new Uint8Array(bitplaneData), planes, planeWidth);
+  } else {
+    reader = BitplaneReader.contiguous(new Uint8Array(bitplaneData), planes, planeWidth, height);
+  }
+
+  let pos = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = reader.read();
+      data[pos++] = value & 0xff;
+      data[pos++] = (value >> 8) & 0xff;
+      data[pos++] = (value >> 16) & 0xff;
+      data[pos++] = planes === 32 ? value >>> 24 : 255;
+    }
+    // Consume any remaining pixels if the image width is not a multiple of 16
+    reader.advance(planeWidth - width);
+  }
+
+  return imageData;
+};
+
+
 /**
  * Decodes a ILBM encoded image that uses per-scanline rasters
  * 
@@ -483,6 +1000,297 @@ const decodeRasterImage = (bitplaneData, width, height, planes, palette, rasters
 };
 
 
+/**
+ * Removes invalid bits from an Amiga mode ID. Older software stored garbage
+ * in the upper word and in bits that are only valid for extended modes.
+ * 
+ * @param {number} modeId - The mode ID from the `CAMG` chunk
+ * @returns {number} The corrected mode ID
+ */
+const sanitizeAmigaModeId = (modeId) => {
+  // Mode IDs with an upper word must be extended modes
+  if (modeId & 0xffff0000 && !(modeId & AMIGA_MODE_EXTENDED)) {
+    modeId &= 0xffff;
+  }
+  if (!(modeId & 0xffff0000)) {
+    modeId &= ~AMIGA_MODE_EXTENDED_ONLY;
+  }
+  return modeId >>> 0;
+};
+
+
+/**
+ * Converts an Amiga mode ID into its monitor ID and display mode flags
+ * 
+ * @param {number} [modeId=0] - The mode ID
+ * @returns {IffAmigaMode} The display mode
+ */
+const parseAmigaModeId = (modeId = 0) => {
+  return {
+    monitor: (modeId & AMIGA_MONITOR_ID_MASK) >>> 0,
+    hires: !!(modeId & AMIGA_MODE_HIRES),
+    superHires: !!(modeId & AMIGA_MODE_SUPERHIRES),
+    lace: !!(modeId & AMIGA_MODE_LACE),
+    doubleScan: !!(modeId & AMIGA_MODE_DOUBLESCAN),
+    ham: !!(modeId & AMIGA_MODE_HAM),
+    ehb: !!(modeId & AMIGA_MODE_EHB),
+    dualPlayfield: !!(modeId & AMIGA_MODE_DUALPF),
+    playfield2Priority: !!(modeId & AMIGA_MODE_PFBA)
+  };
+};
+
+
+/**
+ * Reads a color cycling range from a `CRNG`, `CCRT` or `DRNG` chunk. Rates are
+ * converted to steps per second.
+ * 
+ * @param {string} id - The chunk identifier
+ * @param {IffChunkReader} reader - A reader for the chunk
+ * @returns {IffColorCycle} The color cycling range
+ */
+const readColorCycle = (id, reader) => {
+
+  // Graphicraft ranges store the time between each step
+  if (id === IFF_CHUNK_ID_CCRT) {
+    const direction = reader.readUint16() << 16 >> 16;  // [+0x00] 0 = off, 1 = forward, -1 = backward
+    const start = reader.readUint8();                   // [+0x02] first palette index
+    const end = reader.readUint8();                     // [+0x03] last palette index
+    const seconds = reader.readUint32();                // [+0x04] seconds between steps
+    const microseconds = reader.readUint32();           // [+0x08] microseconds between steps
+    const delay = seconds * 1000000 + microseconds;
+    return {
+      chunk: id,
+      start,
+      end,
+      rate: delay ? 1000000 / delay : 0,
+      direction: direction < 0 ? -1 : 1,
+      active: direction !== 0
+    };
+  }
+
+  // Deluxe Paint IV ranges start with the same fields in a different order
+  let start;
+  let end;
+  if (id === IFF_CHUNK_ID_DRNG) {
+    start = reader.readUint8();           // [+0x00] first cell
+    end = reader.readUint8();             // [+0x01] last cell
+  } else {
+    reader.readUint16();                  // [+0x00] padding
+  }
+  const rate = reader.readUint16();       // [+0x02] 16384 = 60 steps per second
+  const flags = reader.readUint16();      // [+0x04] active and reverse flags
+
+  /** @type {IffColorCycle} */
+  const cycle = {
+    chunk: id,
+    start,
+    end,
+    rate: rate * 60 / COLOR_CYCLE_RATE_SCALE,
+    direction: flags & COLOR_CYCLE_FLAG_REVERSE ? -1 : 1,
+    active: !!(flags & COLOR_CYCLE_FLAG_ACTIVE)
+  };
+
+  if (id === IFF_CHUNK_ID_CRNG) {
+    cycle.start = reader.readUint8();     // [+0x06] first palette index
+    cycle.end = reader.readUint8();       // [+0x07] last palette index
+  } 
+  
+  // `DRNG` ranges are followed by a list of true color cells and a list of 
+  // palette index cells.
+  else {
+    const colorCount = reader.readUint8();  // [+0x06] number of true color cells
+    const indexCount = reader.readUint8();  // [+0x07] number of palette index cells
+    cycle.direction = 1;
+    cycle.cells = [];
+    for (let c = 0; c < colorCount; c++) {
+      const cell = reader.readUint8();
+      const r = reader.readUint8();
+      const g = reader.readUint8();
+      const b = reader.readUint8();
+      cycle.cells.push({
+        cell,
+        r,
+        g,
+        b
+      });
+    }
+    for (let c = 0; c < indexCount; c++) {
+      const cell = reader.readUint8();
+      const index = reader.readUint8();
+      cycle.cells.push({ cell, index });
+    }
+  }
+
+  return cycle;
+};
+
+
+/**
+ * Decodes the images in a `FORM`, `CAT ` or `LIST` chunk. Nested `CAT ` and
+ * `LIST` chunks are read recursively.
+ * 
+ * @param {string} id - The chunk identifier
+ * @param {IffChunkReader} reader - A reader for the chunk contents
+ * @param {Object<string, IffImageState>} props - The properties shared by each `FORM` type
+ * @param {Array<IffImage>} images - The array to add decoded images to
+ */
+const readGroup = (id, reader, props, images) => {
+  const type = reader.readString(4);
+
+  if (id === IFF_CHUNK_ID_FORM) {
+    if (IFF_ENCODING_FORMATS[type]) {
+      images.push(renderIffImage(readIffImage(reader, type, props[type])));
+    }
+    return;
+  }
+
+  // A `LIST` can start with `PROP` chunks. The properties they contain apply
+  // to every `FORM` in the `LIST`, including those in nested groups, and
+  // replace any properties shared by an outer `LIST`.
+  const groupProps = { ...props };
+  while (!reader.eof()) {
+    const chunk = reader.readChunk();
+    if (chunk.id === IFF_CHUNK_ID_PROP) {
+      if (id === IFF_CHUNK_ID_LIST) {
+        const propType = chunk.reader.readString(4);
+        groupProps[propType] = readIffImage(chunk.reader, propType, groupProps[propType]);
+      }
+    } else if (chunk.id === IFF_CHUNK_ID_FORM || chunk.id === IFF_CHUNK_ID_CAT || chunk.id === IFF_CHUNK_ID_LIST) {
+      readGroup(chunk.id, chunk.reader, groupProps, images);
+    }
+  }
+};
+
+
+/**
+ * Reads the palette changes from a `PCHG` chunk. Lines either store 12 bit 
+ * changes to registers 0 to 31 (small lines) or 24 bit changes to any register
+ * (big lines). The line data can be Huffman compressed.
+ * 
+ * @param {IffChunkReader} reader - A reader for the chunk
+ * @returns {Array<IffPaletteChange>} The changes for each line that has them
+ */
+const readPaletteChanges = (reader) => {
+  const compression = reader.readUint16();    // [+0x00] compression method
+  const flags = reader.readUint16();          // [+0x02] line format flags
+  const startLine = reader.readUint16();      // [+0x04] first line (signed)
+  const lineCount = reader.readUint16();      // [+0x06] number of lines
+  reader.readUint16();                        // [+0x08] number of changed lines
+  reader.readUint16();                        // [+0x0A] lowest changed register
+  reader.readUint16();                        // [+0x0C] highest changed register
+  reader.readUint16();                        // [+0x0E] most changes on a line
+  reader.readUint32();                        // [+0x10] total number of changes
+
+  let data;
+  if (compression === PCHG_COMPRESSION_HUFFMAN) {
+    const treeSize = reader.readUint32();
+    const dataSize = reader.readUint32();
+    const tree = reader.readBytes(treeSize);
+    data = depackHuffman(reader.readBytes(reader.byteLength - reader.position), tree, dataSize);
+  } else if (compression === PCHG_COMPRESSION_NONE) {
+    data = reader.readBytes(reader.byteLength - reader.position);
+  } else {
+    error();
+  }
+
+  // The line data starts with a bit mask flagging which lines have changes
+  const view = new DataView(data);
+  const maskLength = Math.ceil(lineCount / 32) * 4;
+  const changes = [];
+  let pos = maskLength;
+
+  for (let line = 0; line < lineCount; line++) {
+    if (!(view.getUint8(line >> 3) & (0x80 >> (line & 7)))) {
+      continue;
+    }
+
+    const colors = [];
+
+    // Small lines store the changes to registers 0-15, followed by the changes
+    // to registers 16-31. Each change is a 4 bit register and a 12 bit color.
+    if (flags & PCHG_FLAG_SMALL_LINES) {
+      const lowCount = view.getUint8(pos++);
+      const highCount = view.getUint8(pos++);
+      for (let c = 0; c < lowCount + highCount; c++) {
+        const value = view.getUint16(pos);
+        pos += 2;
+        colors.push({
+          index: (value >> 12) + (c < lowCount ? 0 : 16),
+          r: ((value >> 8) & 0xf) * 17,
+          g: ((value >> 4) & 0xf) * 17,
+          b: (value & 0xf) * 17,
+          a: 255
+        });
+      }
+    }
+
+    // Big lines store a 16 bit register followed by the alpha, red, blue and
+    // green values. The alpha value is ignored unless the alpha flag is set.
+    else if (flags & PCHG_FLAG_BIG_LINES) {
+      const count = view.getUint16(pos);
+      pos += 2;
+      for (let c = 0; c < count; c++) {
+        colors.push({
+          index: view.getUint16(pos),
+          a: flags & PCHG_FLAG_USE_ALPHA ? view.getUint8(pos + 2) : 255,
+          r: view.getUint8(pos + 3),
+          b: view.getUint8(pos + 4),
+          g: view.getUint8(pos + 5)
+        });
+        pos += 6;
+      }
+    } else {
+      error();
+    }
+
+    changes.push({ line: (startLine << 16 >> 16) + line, colors });
+  }
+
+  return changes;
+};
+
+
+/**
+ * Creates a palette for each line of an image by applying palette changes to
+ * the color map. Changes remain in effect until the register is changed again.
+ * Changes to lines above the image are applied to the first line.
+ * 
+ * @param {IndexedPalette} [palette] - The color map
+ * @param {Array<IffPaletteChange>} changes - The changes for each line that has them
+ * @param {number} height - The height of the image
+ * @returns {Array<IndexedPalette>} A palette for each line of the image
+ */
+const createPaletteChangeRasters = (palette, changes, height) => {
+  const baseColors = palette ? [...palette.resample(8)] : [];
+  const size = changes.reduce((size, { colors }) => {
+    return colors.reduce((size, { index }) => Math.max(size, index + 1), size);
+  }, baseColors.length);
+
+  let linePalette = new IndexedPalette(size);
+  for (let index = 0; index < size; index++) {
+    const color = baseColors[index] || {};
+    linePalette.setColor(index, color.r, color.g, color.b, color.a);
+  }
+
+  const rasters = [];
+  let change = 0;
+  for (let y = 0; y < height; y++) {
+    if (change < changes.length && changes[change].line <= y) {
+      linePalette = IndexedPalette.fromValueArray(linePalette.toValueArray());
+      while (change < changes.length && changes[change].line <= y) {
+        for (const color of changes[change].colors) {
+          linePalette.setColor(color.index, color.r, color.g, color.b, color.a);
+        }
+        change++;
+      }
+    }
+    rasters.push(linePalette);
+  }
+
+  return rasters;
+};
+
+
 /**
  * Helper method for reporting terminal errors
  */
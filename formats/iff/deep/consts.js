@@ -0,0 +1,37 @@
+export const IFF_CHUNK_ID_DEEP = 'DEEP';
+export const IFF_CHUNK_ID_DGBL = 'DGBL';
+export const IFF_CHUNK_ID_DPEL = 'DPEL';
+export const IFF_CHUNK_ID_DLOC = 'DLOC';
+export const IFF_CHUNK_ID_DBOD = 'DBOD';
+export const IFF_CHUNK_ID_TVDC = 'TVDC';
+
+/** Body data is uncompressed */
+export const DEEP_COMPRESSION_NONE = 0;
+
+/** Body data is run-length encoded using Packbits, with whole pixels as the unit */
+export const DEEP_COMPRESSION_RLE = 1;
+
+/** Body data is Huffman compressed */
+export const DEEP_COMPRESSION_HUFFMAN = 2;
+
+/** Body data is dynamic Huffman compressed */
+export const DEEP_COMPRESSION_DYNAMIC_HUFFMAN = 3;
+
+/** Body data is JPEG compressed */
+export const DEEP_COMPRESSION_JPEG = 4;
+
+/** Body data is TVPaint delta compressed, using the table in the `TVDC` chunk */
+export const DEEP_COMPRESSION_TVDC = 5;
+
+export const DEEP_ELEMENT_RED = 1;
+export const DEEP_ELEMENT_GREEN = 2;
+export const DEEP_ELEMENT_BLUE = 3;
+export const DEEP_ELEMENT_ALPHA = 4;
+export const DEEP_ELEMENT_YELLOW = 5;
+export const DEEP_ELEMENT_CYAN = 6;
+export const DEEP_ELEMENT_BLACK = 7;
+export const DEEP_ELEMENT_MASK = 8;
+export const DEEP_ELEMENT_ZBUFFER = 9;
+export const DEEP_ELEMENT_OPACITY = 10;
+export const DEEP_ELEMENT_LINEAR_KEY = 11;
+export const DEEP_ELEMENT_BINARY_KEY = 12;
@@ -0,0 +1,378 @@
+import IffChunkReader from '../IffChunkReader.js';
+import PlanarCoderError from '../../../lib/PlanarCoderError.js';
+import { IFF_CHUNK_ID_FORM } from '../consts.js';
+
+import {
+  IFF_CHUNK_ID_DEEP,
+  IFF_CHUNK_ID_DGBL,
+  IFF_CHUNK_ID_DPEL,
+  IFF_CHUNK_ID_DLOC,
+  IFF_CHUNK_ID_DBOD,
+  IFF_CHUNK_ID_TVDC,
+  DEEP_COMPRESSION_NONE,
+  DEEP_COMPRESSION_RLE,
+  DEEP_COMPRESSION_TVDC,
+  DEEP_ELEMENT_RED,
+  DEEP_ELEMENT_GREEN,
+  DEEP_ELEMENT_BLUE,
+  DEEP_ELEMENT_ALPHA,
+  DEEP_ELEMENT_MASK
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').IffDeepImage} IffDeepImage
+ * @typedef {import('./types.js').IffDeepElement} IffDeepElement
+ * @typedef {import('./types.js').IffDeepLocation} IffDeepLocation
+ */
+
+/** Maps element types to their `ImageData` channel offset */
+const ELEMENT_CHANNELS = {
+  [DEEP_ELEMENT_RED]: 0,
+  [DEEP_ELEMENT_GREEN]: 1,
+  [DEEP_ELEMENT_BLUE]: 2,
+  [DEEP_ELEMENT_ALPHA]: 3
+};
+
+/**
+ * Decodes an IFF `DEEP` image and returns a ImageData object containing the
+ * converted data. Pixels are stored as a set of elements described by the
+ * `DPEL` chunk, which can be in any order and use any bit depth. Red, green,
+ * blue and alpha elements are decoded, with a mask element used as the alpha
+ * channel if the image has no alpha element. Other elements are ignored.
+ *
+ * Images can contain several `DBOD` chunks, each positioned by the `DLOC`
+ * chunk before it. Supports uncompressed, run-length encoded and TVPaint
+ * delta (`TVDC`) compressed bodies.
+ *
+ * @param {ArrayBuffer} buffer - An array buffer containing the IFF image
+ * @returns {IffDeepImage} The decoded image
+ */
+export default (buffer) => {
+
+  const reader = new IffChunkReader(buffer);
+
+  // Check this is an IFF DEEP image
+  const formChunk = reader.readChunk();
+  if (formChunk.id !== IFF_CHUNK_ID_FORM || formChunk.reader.readString(4) !== IFF_CHUNK_ID_DEEP) {
+    error();
+  }
+
+  /** @type {ImageData} */
+  let imageData;
+
+  /** @type {Array<IffDeepElement>} */
+  let elements;
+
+  /** @type {IffDeepLocation} */
+  let location;
+
+  /** @type {Int16Array} */
+  let deltaTable;
+
+  let compression;
+  let xAspectRatio;
+  let yAspectRatio;
+  let hasBody = false;
+  const chunks = [];
+
+  while (!formChunk.reader.eof()) {
+    const { id, reader, length } = formChunk.reader.readChunk();
+
+    // The global header
+    if (id === IFF_CHUNK_ID_DGBL) {
+      const width = reader.readUint16();    // [+0x00] display width
+      const height = reader.readUint16();   // [+0x02] display height
+      compression = reader.readUint16();    // [+0x04] compression method
+      xAspectRatio = reader.readUint8();    // [+0x06] x aspect
+      yAspectRatio = reader.readUint8();    // [+0x07] y aspect
+      imageData = new ImageData(width, height);
+    }
+
+    // The pixel elements. Each is stored as a type and bit depth.
+    else if (id === IFF_CHUNK_ID_DPEL) {
+      const count = reader.readUint32();
+      elements = [];
+      for (let c = 0; c < count; c++) {
+        const type = reader.readUint16();
+        const bitDepth = reader.readUint16();
+        elements.push({ type, bitDepth });
+      }
+    }
+
+    // The size and position of the next body
+    else if (id === IFF_CHUNK_ID_DLOC) {
+      location = {
+        width: reader.readUint16(),             // [+0x00] body width
+        height: reader.readUint16(),            // [+0x02] body height
+        x: reader.readUint16() << 16 >> 16,     // [+0x04] x position (signed)
+        y: reader.readUint16() << 16 >> 16      // [+0x06] y position (signed)
+      };
+    }
+
+    // The TVPaint delta table. Contains 16 signed deltas.
+    else if (id === IFF_CHUNK_ID_TVDC) {
+      deltaTable = new Int16Array(16);
+      for (let c = 0; c < 16; c++) {
+        deltaTable[c] = reader.readUint16() << 16 >> 16;
+      }
+    }
+
+    // The pixel data
+    else if (id === IFF_CHUNK_ID_DBOD) {
+      if (!imageData || !elements) {
+        error();
+      }
+      const body = location || {
+        width: imageData.width,
+        height: imageData.height,
+        x: 0,
+        y: 0
+      };
+      const data = new Uint8Array(reader.readBytes(length));
+      let values;
+      if (compression === DEEP_COMPRESSION_TVDC) {
+        if (!deltaTable) {
+          error();
+        }
+        values = depackTvdcBody(data, body.width, body.height, elements, deltaTable);
+      } else if (compression === DEEP_COMPRESSION_RLE) {
+        values = readChunkyBody(depackRleBody(data, body.width, body.height, elements), body.width, body.height, elements);
+      } else if (compression === DEEP_COMPRESSION_NONE) {
+        values = readChunkyBody(data, body.width, body.height, elements);
+      } else {
+        throw new PlanarCoderError('Unsupported DEEP compression method');
+      }
+      drawBody(imageData, values, body, elements);
+      hasBody = true;
+    }
+
+    // Chunks that aren't used to decode the image are kept in the metadata
+    else {
+      chunks.push({ id, data: new Uint8Array(reader.readBytes(length)) });
+    }
+  }
+
+  if (!hasBody) {
+    error();
+  }
+
+  return {
+    imageData,
+    meta: {
+      compression,
+      xAspectRatio,
+      yAspectRatio,
+      elements,
+      chunks
+    }
+  };
+};
+
+
+/**
+ * Returns the number of bits used to store a pixel
+ *
+ * @param {Array<IffDeepElement>} elements - The pixel elements
+ * @returns {number} The number of bits
+ */
+const getBitsPerPixel = (elements) => {
+  return elements.reduce((bits, { bitDepth }) => bits + bitDepth, 0);
+};
+
+
+/**
+ * Decompresses a run-length encoded body. The body is compressed using the
+ * Packbits method, but each run contains whole pixels rather than bytes.
+ *
+ * @param {Uint8Array} data - The compressed body
+ * @param {number} width - The width of the body
+ * @param {number} height - The height of the body
+ * @param {Array<IffDeepElement>} elements - The pixel elements
+ * @returns {Uint8Array} The uncompressed body
+ */
+const depackRleBody = (data, width, height, elements) => {
+  const bitsPerPixel = getBitsPerPixel(elements);
+  if (bitsPerPixel % 8) {
+    throw new PlanarCoderError('Run-length encoded pixels must be a whole number of bytes');
+  }
+  const pixelSize = bitsPerPixel / 8;
+  const size = width * height * pixelSize;
+  const output = new Uint8Array(size);
+  let srcPos = 0;
+  let destPos = 0;
+
+  while (destPos < size && srcPos < data.length) {
+    const count = data[srcPos++] << 24 >> 24;
+
+    if (count === -128) {
+      // No Op
+    } else if (count < 0) {
+      // One pixel, repeated (1 − n) times in the decompressed output
+      for (let c = 0; c < 1 - count; c++) {
+        for (let b = 0; b < pixelSize && destPos < size; b++) {
+          output[destPos++] = data[srcPos + b];
+        }
+      }
+      srcPos += pixelSize;
+    } else {
+      // (1 + n) literal pixels
+      for (let b = 0; b < (1 + count) * pixelSize && destPos < size; b++) {
+        output[destPos++] = data[srcPos + b];
+      }
+      srcPos += (1 + count) * pixelSize;
+    }
+  }
+
+  return output;
+};
+
+
+/**
+ * Reads the element values of an uncompressed body. Elements are stored in
+ * the order they're listed in the `DPEL` chunk, with each line starting on a
+ * byte boundary.
+ *
+ * @param {Uint8Array} data - The uncompressed body
+ * @param {number} width - The width of the body
+ * @param {number} height - The height of the body
+ * @param {Array<IffDeepElement>} elements - The pixel elements
+ * @returns {Array<Uint32Array>} The values of each element, for every pixel
+ */
+const readChunkyBody = (data, width, height, elements) => {
+  const bitsPerLine = Math.ceil(width * getBitsPerPixel(elements) / 8) * 8;
+  const values = elements.map(() => new Uint32Array(width * height));
+
+  for (let y = 0; y < height; y++) {
+    let bitPos = y * bitsPerLine;
+    for (let x = 0; x < width; x++) {
+      elements.forEach(({ bitDepth }, element) => {
+        values[element][y * width + x] = readBits(data, bitPos, bitDepth);
+        bitPos += bitDepth;
+      });
+    }
+  }
+
+  return values;
+};
+
+
+/**
+ * Decompresses a TVPaint delta (`TVDC`) compressed body. Each line of each
+ * element is compressed separately, as a series of 4 bit codes. Each code is
+ * an index into the delta table. A non-zero delta is added to the previous
+ * value, which starts at zero. A zero delta is followed by a code containing
+ * the number of times to repeat the previous value, minus one. The data for
+ * each line and element starts on a byte boundary.
+ *
+ * @param {Uint8Array} data - The compressed body
+ * @param {number} width - The width of the body
+ * @param {number} height - The height of the body
+ * @param {Array<IffDeepElement>} elements - The pixel elements
+ * @param {Int16Array} deltaTable - The delta table from the `TVDC` chunk
+ * @returns {Array<Uint32Array>} The values of each element, for every pixel
+ */
+const depackTvdcBody = (data, width, height, elements, deltaTable) => {
+  const values = elements.map(() => new Uint32Array(width * height));
+  const codeCount = data.length * 2;
+  let pos = 0;
+
+  // Returns the 4 bit code at the current position
+  const readCode = () => {
+    const byte = data[pos >> 1];
+    return pos++ & 1 ? byte & 0xf : byte >> 4;
+  };
+
+  for (let y = 0; y < height; y++) {
+    elements.forEach(({ bitDepth }, element) => {
+      const mask = bitDepth < 32 ? (1 << bitDepth) - 1 : 0xffffffff;
+      const lineValues = values[element].subarray(y * width, (y + 1) * width);
+      let value = 0;
+      let x = 0;
+      while (x < width && pos < codeCount) {
+        const delta = deltaTable[readCode()];
+        if (delta) {
+          value = (value + delta) & mask;
+          lineValues[x++] = value;
+        } else if (pos < codeCount) {
+          const count = Math.min(readCode() + 1, width - x);
+          lineValues.fill(value, x, x + count);
+          x += count;
+        }
+      }
+      // Move to the next byte boundary
+      pos = (pos + 1) & ~1;
+    });
+  }
+
+  return values;
+};
+
+
+/**
+ * Draws the element values of a body into the image. Element values are
+ * scaled to 8 bits. Pixels are opaque unless the image has an alpha or mask
+ * element.
+ *
+ * @param {ImageData} imageData - The image to draw into
+ * @param {Array<Uint32Array>} values - The values of each element, for every pixel
+ * @param {IffDeepLocation} body - The size and position of the body
+ * @param {Array<IffDeepElement>} elements - The pixel elements
+ */
+const drawBody = (imageData, values, body, elements) => {
+  const { data } = imageData;
+  const hasAlpha = elements.some(({ type }) => type === DEEP_ELEMENT_ALPHA);
+  const maskElement = hasAlpha ? -1 : elements.findIndex(({ type }) => type === DEEP_ELEMENT_MASK);
+
+  for (let y = 0; y < body.height; y++) {
+    const imageY = body.y + y;
+    if (imageY < 0 || imageY >= imageData.height) {
+      continue;
+    }
+    for (let x = 0; x < body.width; x++) {
+      const imageX = body.x + x;
+      if (imageX < 0 || imageX >= imageData.width) {
+        continue;
+      }
+      const pixel = y * body.width + x;
+      const pos = (imageY * imageData.width + imageX) * 4;
+      data[pos + 3] = 255;
+      elements.forEach(({ type, bitDepth }, element) => {
+        const channel = ELEMENT_CHANNELS[type];
+        if (channel !== undefined && bitDepth) {
+          data[pos + channel] = Math.round(values[element][pixel] * 255 / (2 ** bitDepth - 1));
+        }
+      });
+      if (maskElement !== -1 && !values[maskElement][pixel]) {
+        data[pos + 3] = 0;
+      }
+    }
+  }
+};
+
+
+/**
+ * Reads a value from a bit stream, most significant bit first
+ *
+ * @param {Uint8Array} data - The bit stream
+ * @param {number} bitPos - The position of the first bit
+ * @param {number} bits - The number of bits to read
+ * @returns {number} The value
+ */
+const readBits = (data, bitPos, bits) => {
+  if (bits === 8 && !(bitPos & 7)) {
+    return data[bitPos >> 3] || 0;
+  }
+  let value = 0;
+  for (let bit = bitPos; bit < bitPos + bits; bit++) {
+    value = value * 2 + ((data[bit >> 3] >> (7 - (bit & 7))) & 1);
+  }
+  return value;
+};
+
+
+/**
+ * Helper method for reporting terminal errors
+ */
+const error = () => {
+  throw new PlanarCoderError('Invalid file format');
+};
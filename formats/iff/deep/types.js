@@ -0,0 +1,34 @@
+/**
+ * @typedef {import('../types.js').IffRawChunk} IffRawChunk
+ */
+
+/**
+ * @typedef IffDeepElement
+ * @property {number} type The element type, such as `DEEP_ELEMENT_RED`
+ * @property {number} bitDepth The number of bits used to store the element
+ */
+
+/**
+ * @typedef IffDeepLocation
+ * @property {number} width The width of the body
+ * @property {number} height The height of the body
+ * @property {number} x The horizontal position of the body in the image
+ * @property {number} y The vertical position of the body in the image
+ */
+
+/**
+ * @typedef IffDeepMetadata
+ * @property {number} compression The `DBOD` compression method
+ * @property {number} xAspectRatio x component of the aspect ratio
+ * @property {number} yAspectRatio y component of the aspect ratio
+ * @property {Array<IffDeepElement>} elements The elements of each pixel, in the order they're stored
+ * @property {Array<IffRawChunk>} chunks Chunks that aren't used to decode the image
+ */
+
+/**
+ * @typedef IffDeepImage
+ * @property {ImageData} imageData The decoded image
+ * @property {IffDeepMetadata} meta The image metadata
+ */
+
+export default null;
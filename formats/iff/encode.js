@@ -1,8 +1,18 @@
 import { encode } from '../../encode.js';
+import BitplaneWriter from '../../lib/BitplaneWriter.js';
+import ImageDataIndexedPaletteReader from '../../lib/ImageDataIndexedPaletteReader.js';
+import IffChunkReader from './IffChunkReader.js';
 import IffChunkWriter from './IffChunkWriter.js';
 import { pack } from '../../compression/packbits.js';
+import { pack as packHuffman } from '../../compression/huffman.js';
 import PlanarCoderError from '../../lib/PlanarCoderError.js';
-import { getPlaneCountForIndexedPalette, createEhbPalette } from '../../IndexedPaletteHelpers.js';
+import IndexedPalette from '../../lib/IndexedPalette.js';
+import { 
+  getPlaneCountForIndexedPalette,
+  createEhbPalette,
+  createQuantizedIndexedPalette,
+  writeAtariStIndexedPalette
+} from '../../IndexedPaletteHelpers.js';
 
 import {
   ENCODING_FORMAT_CONTIGUOUS,
@@ -11,75 +21,364 @@ import {
 
 import { 
   AMIGA_MODE_EHB,
+  AMIGA_MODE_HAM,
   AMIGA_MODE_HIRES,
   AMIGA_MODE_LACE,
+  AMIGA_MODE_SUPERHIRES,
+  AMIGA_MODE_DOUBLESCAN,
+  AMIGA_MODE_DUALPF,
+  AMIGA_MODE_PFBA,
+  AMIGA_MONITOR_ID_MASK,
+  COMPRESSION_ATARI,
+  COMPRESSION_IMPULSE,
+  COMPRESSION_NONE,
   COMPRESSION_PACKBITS,
   IFF_CHUNK_ID_ABIT,
   IFF_CHUNK_ID_ACBM,
+  IFF_CHUNK_ID_BEAM,
   IFF_CHUNK_ID_BMHD,
   IFF_CHUNK_ID_BODY,
   IFF_CHUNK_ID_CAMG,
+  IFF_CHUNK_ID_CAT,
   IFF_CHUNK_ID_CMAP,
+  IFF_CHUNK_ID_CTBL,
+  IFF_CHUNK_ID_CRNG,
+  IFF_CHUNK_ID_CCRT,
+  IFF_CHUNK_ID_DRNG,
   IFF_CHUNK_ID_FORM,
   IFF_CHUNK_ID_ILBM,
+  IFF_CHUNK_ID_MIXED,
+  IFF_CHUNK_ID_PBM,
+  IFF_CHUNK_ID_PCHG,
+  IFF_CHUNK_ID_RAST,
+  IFF_CHUNK_ID_RGBN,
+  IFF_CHUNK_ID_RGB8,
+  IFF_CHUNK_ID_SHAM,
+  IFF_CHUNK_ID_VDAT,
   IFF_ENCODING_FORMAT_ACBM,
-  IFF_ENCODING_FORMAT_ILBM
+  IFF_ENCODING_FORMAT_ILBM,
+  IFF_ENCODING_FORMAT_PBM,
+  IFF_ENCODING_FORMAT_RGBN,
+  IFF_ENCODING_FORMAT_RGB8,
+  MASK_HAS_MASK,
+  MASK_HAS_TRANSPARENT_COLOR,
+  MASK_NONE,
+  COLOR_CYCLE_FLAG_ACTIVE,
+  COLOR_CYCLE_FLAG_REVERSE,
+  COLOR_CYCLE_RATE_SCALE,
+  PCHG_COMPRESSION_NONE,
+  PCHG_COMPRESSION_HUFFMAN,
+  PCHG_FLAG_SMALL_LINES,
+  PCHG_FLAG_BIG_LINES
 } from './consts.js';
 
 /**
  * @typedef {import('./types.js').IffEncodingOptions} IffEncodingOptions
+ * @typedef {import('./types.js').IffCatImage} IffCatImage
+ * @typedef {import('./types.js').IffColorCycle} IffColorCycle
+ * @typedef {import('./types.js').IffAmigaMode} IffAmigaMode
  */
 
 /**
  * Encodes a `ImageData` object into an IFF image
  * 
+ * For HAM images, `palette` is the base palette. If it's omitted, a base
+ * palette is created from the image colors.
+ * 
+ * Passing an array of palettes (one for each line) encodes the image using 
+ * per-line palettes. These are written to a `SHAM`, `CTBL` or `BEAM` chunk for
+ * HAM images, or a `RAST` chunk for 16 color images. If the palette is omitted
+ * and the `rasterChunk` option is set, the palette for each line is created 
+ * from the image colors.
+ * 
+ * If no palette is passed for any other image, a deep (true color) image is 
+ * created, using 24 bitplanes or, if the `planeCount` option is 32, 32 
+ * bitplanes with the alpha channel.
+ * 
+ * Impulse RGBN (12-bit) and RGB8 (24-bit) images are created by setting the
+ * `encoding` option. These don't use a palette and store pixels with an alpha
+ * value below 128 using the genlock bit.
+ * 
+ * If the `mask` option is set, pixels with an alpha value below 128 are 
+ * treated as transparent and are either cleared in the mask plane or set to 
+ * the `transparentColor` palette index. Opaque pixels can't use the color at
+ * the transparent index of a palette.
+ * 
  * @param {ImageData} imageData - The image data to encode
- * @param {IndexedPalette} palette - The color palette to use
+ * @param {IndexedPalette|Array<IndexedPalette>} palette - The color palette, or per-line palettes, to use
  * @param {IffEncodingOptions} options - The encoding options
  * @returns {ArrayBuffer} - The encoded IFF image bytes
  */
-export default (imageData, palette, options = {}) => {
+const encodeIff = (imageData, palette, options = {}) => {
 
   /** @type {IndexedPalette} */
   let encodingPalette;
 
+  /** @type {number} */
+  let planes;
+
+  /** @type {Uint8Array} */
+  let planeData;
+
+  /** @type {Array<IndexedPalette>} */
+  let rasters;
+
   const { 
     compression = COMPRESSION_PACKBITS,
     encoding = IFF_ENCODING_FORMAT_ILBM,
-    amigaEhb = false,
-    amigaLace = false,
-    amigaHires = false,
+    amigaMode = {},
+    planeCount,
+    rasterChunk,
+    mask = MASK_NONE,
+    transparentColor = 0,
+    colorCycles = [],
+    chunks = [],
     pageWidth = imageData.width,
     pageHeight = imageData.height,
     xAspectRatio = 1,
     yAspectRatio = 1
   } = options;
 
+  // Display modes can be set individually or using the `amigaMode` structure
+  const amigaEhb = !!(options.amigaEhb || amigaMode.ehb);
+  const amigaLace = !!(options.amigaLace || amigaMode.lace);
+  const amigaHires = !!(options.amigaHires || amigaMode.hires);
+  const amigaHam = !!(options.amigaHam || amigaMode.ham);
+
   const { height, width } = imageData;
   const format = encoding === IFF_ENCODING_FORMAT_ILBM ? ENCODING_FORMAT_LINE : ENCODING_FORMAT_CONTIGUOUS;
   const planeLength = Math.ceil(width / 8);
 
-  // If the images uses extra-half-brite mode then we need to create the extra
-  // palette colors before create the plane data.
-  if (amigaEhb) {
-    encodingPalette = createEhbPalette(palette);
-  } else {
+  /** @type {Uint8Array} */
+  let transparentPixels;
+
+  // Flag the transparent pixels and make the image opaque. Transparent pixels
+  // are given the transparent palette color (or the first color if the index
+  // is out of range) so they don't need to exist in the palette. Per-line
+  // palettes skip transparent pixels instead.
+  if (mask === MASK_HAS_MASK || mask === MASK_HAS_TRANSPARENT_COLOR) {
+    const data = new Uint8ClampedArray(imageData.data);
+    const view = new DataView(data.buffer);
+    let color = 0x000000ff;
+    if (palette && !Array.isArray(palette) && palette.length) {
+      color = palette.resample(8).toValueArray()[transparentColor < palette.length ? transparentColor : 0];
+    }
+    transparentPixels = new Uint8Array(width * height);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      if (data[pixel * 4 + 3] < 128) {
+        transparentPixels[pixel] = 1;
+        view.setUint32(pixel * 4, color);
+      } else {
+        data[pixel * 4 + 3] = 255;
+      }
+    }
+    imageData = new ImageData(data, width, height);
+  }
+
+  // Palettes created from the image keep the transparent color index free
+  const reservedColor = mask === MASK_HAS_TRANSPARENT_COLOR ? transparentColor : -1;
+
+  // Per-line palettes are either passed in place of a single palette or, if a
+  // raster chunk type is set without a palette, created from the image.
+  if (Array.isArray(palette)) {
+    rasters = palette;
+  } else if (!palette && rasterChunk) {
+    rasters = [];
+    for (let y = 0; y < height; y++) {
+      const line = getOpaquePixelData(imageData.data, transparentPixels, y * width, (y + 1) * width);
+      rasters.push(createOpaquePalette(line, 16, rasterChunk === IFF_CHUNK_ID_RAST ? 3 : 4, reservedColor));
+    }
+  }
+
+  // Sliced HAM images store their palettes in `SHAM`, `CTBL` or `BEAM` chunks
+  // and other images use the Atari ST `RAST` chunk. Any image can store them
+  // in a `PCHG` chunk.
+  const rasterChunkId = rasterChunk || (amigaHam ? IFF_CHUNK_ID_SHAM : IFF_CHUNK_ID_RAST);
+
+  if (rasters) {
+    if (amigaEhb) {
+      throw new PlanarCoderError('EHB images cannot use per-line palettes');
+    }
+    if (encoding !== IFF_ENCODING_FORMAT_ILBM) {
+      throw new PlanarCoderError('Images with per-line palettes must be ILBM encoded');
+    }
+    if (width % 16 !== 0) {
+      throw new PlanarCoderError('Image width must be a multiple of 16');
+    }
+    if (amigaHam) {
+      if (![IFF_CHUNK_ID_SHAM, IFF_CHUNK_ID_CTBL, IFF_CHUNK_ID_BEAM, IFF_CHUNK_ID_PCHG].includes(rasterChunkId)) {
+        throw new PlanarCoderError('Unsupported raster chunk');
+      }
+      if (rasterChunkId !== IFF_CHUNK_ID_PCHG) {
+        rasters = rasters.map(createRasterPalette);
+      }
+    } else if (rasterChunkId === IFF_CHUNK_ID_RAST) {
+      rasters = rasters.map(createRasterPalette);
+    } else if (rasterChunkId !== IFF_CHUNK_ID_PCHG) {
+      throw new PlanarCoderError('Unsupported raster chunk');
+    }
+    // The first line palette is also written to the `CMAP` chunk
+    palette = rasters[0];
+  }
+
+  // HAM images use 6 (HAM6) or 8 (HAM8) planes. If the plane count isn't
+  // specified we use the size of the base palette to decide.
+  if (amigaHam) {
+    if (amigaEhb) {
+      throw new PlanarCoderError('HAM and EHB modes cannot be combined');
+    }
+    if (encoding !== IFF_ENCODING_FORMAT_ILBM) {
+      throw new PlanarCoderError('HAM images must be ILBM encoded');
+    }
+    if (width % 16 !== 0) {
+      throw new PlanarCoderError('Image width must be a multiple of 16');
+    }
+
+    planes = planeCount || (palette && palette.length > 16 ? 8 : 6);
+
+    if (planes !== 6 && planes !== 8) {
+      throw new PlanarCoderError('HAM images must have 6 or 8 planes');
+    }
+    if (rasters && planes !== 6 && rasterChunkId !== IFF_CHUNK_ID_PCHG) {
+      throw new PlanarCoderError('Sliced HAM images must have 6 planes');
+    }
+
+    // HAM6 base colors are limited to the 12 bit OCS/ECS palette.
+    const baseColors = 1 << (planes - 2);
+    if (!palette) {
+      const pixels = getOpaquePixelData(imageData.data, transparentPixels, 0, width * height);
+      palette = createOpaquePalette(pixels, baseColors, planes === 6 ? 4 : 8, reservedColor);
+    } else if ((rasters || [palette]).some((linePalette) => linePalette.length > baseColors)) {
+      throw new PlanarCoderError('Too many colors');
+    }
+
+    planeData = encodeHamImage(imageData, getLinePalettes(rasters || [palette], height), planes, mask === MASK_HAS_TRANSPARENT_COLOR && transparentPixels, transparentColor);
+  } else if (rasters) {
+    // `RAST` palettes are limited to the 16 colors of the Atari ST
+    const maxColors = rasterChunkId === IFF_CHUNK_ID_PCHG ? 256 : 16;
+    if (rasters.some((raster) => raster.length > maxColors)) {
+      throw new PlanarCoderError('Too many colors');
+    }
+    if (rasterChunkId === IFF_CHUNK_ID_PCHG) {
+      planes = Math.max(...rasters.map(getPlaneCountForIndexedPalette));
+    } else {
+      planes = 4;
+    }
+    planeData = encodeRasterImage(imageData, getLinePalettes(rasters, height), planes, mask === MASK_HAS_TRANSPARENT_COLOR && transparentPixels, transparentColor);
+  } else if (encoding === IFF_ENCODING_FORMAT_RGBN || encoding === IFF_ENCODING_FORMAT_RGB8) {
+    if (mask !== MASK_NONE) {
+      throw new PlanarCoderError('RGBN and RGB8 images store transparency in the genlock bit');
+    }
+    planes = encoding === IFF_ENCODING_FORMAT_RGBN ? 13 : 25;
+    planeData = encodeImpulseImage(imageData, encoding);
+  } else if (encoding === IFF_ENCODING_FORMAT_PBM) {
+    if (!palette) {
+      throw new PlanarCoderError('PBM images require a palette');
+    }
+    if (palette.length > 256) {
+      throw new PlanarCoderError('Too many colors');
+    }
+    if (mask === MASK_HAS_MASK) {
+      throw new PlanarCoderError('PBM images cannot have a mask plane');
+    }
+    planes = 8;
     encodingPalette = palette;
+    planeData = encodeChunkyImage(imageData, palette, transparentPixels, transparentColor);
+  } else if (!palette) {
+    planes = planeCount || 24;
+    if (planes !== 24 && planes !== 32) {
+      throw new PlanarCoderError('Deep images must have 24 or 32 planes');
+    }
+    if (width % 16 !== 0) {
+      throw new PlanarCoderError('Image width must be a multiple of 16');
+    }
+    planeData = encodeDeepImage(imageData, planes, format);
+  } else {
+    // If the images uses extra-half-brite mode then we need to create the extra
+    // palette colors before create the plane data.
+    if (amigaEhb) {
+      encodingPalette = createEhbPalette(palette);
+    } else {
+      encodingPalette = palette;
+    }
+
+    // Get the number of bitplanes required to store the palette
+    planes = getPlaneCountForIndexedPalette(encodingPalette);
+
+    // Create the planar data using the relevant encoding format (`line` for 
+    // ILBM or `contigous` for ACBM)
+    planeData = encode(imageData, encodingPalette, { format });
   }
 
-  // Get the number of bitplanes required to store the palette
-  const planes = getPlaneCountForIndexedPalette(encodingPalette);
+  if (mask === MASK_HAS_TRANSPARENT_COLOR) {
+    // HAM pixels can only use the transparent color if it's a base color
+    const maxTransparentColor = amigaHam ? 1 << (planes - 2) : 2 ** planes;
+    if (transparentColor < 0 || transparentColor >= maxTransparentColor) {
+      throw new PlanarCoderError('Transparent color out of range');
+    }
+    // Opaque pixels would be decoded as transparent if their color is first
+    // found at the transparent color index of the palette. Generated palettes,
+    // and the HAM and per-line palette encoders, avoid the index themselves.
+    if (encodingPalette && hasOpaqueTransparentPixels(imageData, encodingPalette, transparentPixels, transparentColor)) {
+      throw new PlanarCoderError('Opaque pixels cannot use the transparent color');
+    }
+  }
 
-  // Create the planar data using the relevant encoding format (`line` for ILBM 
-  // or `contigous` for ACBM)
-  let planeData = encode(imageData, encodingPalette, { format });
+  // Transparent pixels must use the transparent color index
+  if (mask === MASK_HAS_TRANSPARENT_COLOR && encoding !== IFF_ENCODING_FORMAT_PBM) {
+    writeTransparentColor(planeData, format, width, height, planes, transparentPixels, transparentColor);
+  }
 
-  // If compression is set and this is an ILBM, pack the planes. 
-  if (compression && encoding === IFF_ENCODING_FORMAT_ILBM) {
-    planeData = pack(planeData, planeLength);
+  // The mask is stored as an extra bitplane
+  let bodyPlanes = planes;
+  if (mask === MASK_HAS_MASK) {
+    planeData = insertMaskPlane(planeData, format, width, height, planes, transparentPixels);
+    bodyPlanes++;
   }
 
-  const buffer = new ArrayBuffer(planeData.length + 2048);
+  // Only ILBM bodies can be compressed. Atari ST compression stores each 
+  // bitplane in its own `VDAT` chunk, otherwise packbits is used.
+  let bodyCompression = COMPRESSION_NONE;
+  let bodyLength = planeData.length;
+
+  /** @type {Array<Uint8Array>} */
+  let vdatChunks;
+
+  // Impulse images are always compressed
+  if (encoding === IFF_ENCODING_FORMAT_RGBN || encoding === IFF_ENCODING_FORMAT_RGB8) {
+    bodyCompression = COMPRESSION_IMPULSE;
+  } else if (compression && encoding === IFF_ENCODING_FORMAT_PBM) {
+    if (compression === COMPRESSION_ATARI) {
+      throw new PlanarCoderError('PBM images cannot use Atari ST compression');
+    }
+    bodyCompression = COMPRESSION_PACKBITS;
+    planeData = pack(planeData, width + (width & 1));
+    bodyLength = planeData.length;
+  } else if (compression && encoding === IFF_ENCODING_FORMAT_ILBM) {
+    if (compression === COMPRESSION_ATARI) {
+      bodyCompression = COMPRESSION_ATARI;
+      vdatChunks = [];
+      for (let plane = 0; plane < bodyPlanes; plane++) {
+        vdatChunks.push(packVdatChunk(planeData, plane, bodyPlanes, planeLength, height));
+      }
+      bodyLength = vdatChunks.reduce((length, chunk) => length + chunk.length + 9, 0);
+    } else {
+      bodyCompression = COMPRESSION_PACKBITS;
+      planeData = pack(planeData, planeLength);
+      bodyLength = planeData.length;
+    }
+  }
+
+  /** @type {Uint8Array} */
+  let paletteChanges;
+  if (rasters && rasterChunkId === IFF_CHUNK_ID_PCHG) {
+    paletteChanges = createPaletteChanges(getLinePalettes(rasters, height));
+  }
+
+  const cycleLength = colorCycles.reduce((length, { cells = [] }) => length + cells.length * 4 + 22, 0);
+  const chunkLength = chunks.reduce((length, { data }) => length + data.length + 9, 0);
+  const rasterLength = paletteChanges ? paletteChanges.length : (rasters ? rasters.length * 34 : 0);
+  const buffer = new ArrayBuffer(bodyLength + rasterLength + cycleLength + chunkLength + 2048);
   const writer = new IffChunkWriter(buffer);
 
   writer.startChunk(IFF_CHUNK_ID_FORM);
@@ -88,6 +387,12 @@ export default (imageData, palette, options = {}) => {
     writer.writeString(IFF_CHUNK_ID_ILBM);
   } else if (encoding === IFF_ENCODING_FORMAT_ACBM) {
     writer.writeString(IFF_CHUNK_ID_ACBM);
+  } else if (encoding === IFF_ENCODING_FORMAT_PBM) {
+    writer.writeString(IFF_CHUNK_ID_PBM);
+  } else if (encoding === IFF_ENCODING_FORMAT_RGBN) {
+    writer.writeString(IFF_CHUNK_ID_RGBN);
+  } else if (encoding === IFF_ENCODING_FORMAT_RGB8) {
+    writer.writeString(IFF_CHUNK_ID_RGB8);
   } else {
     throw new PlanarCoderError('Unsupported IFF format');
   }
@@ -99,10 +404,10 @@ export default (imageData, palette, options = {}) => {
   writer.writeInt16(0);                 // [+0x04] x-origin
   writer.writeInt16(0);                 // [+0x06] y-origin
   writer.writeUint8(planes);            // [+0x08] number of planes
-  writer.writeUint8(0);                 // [+0x09] mask  
-  writer.writeUint8(compression ? 1 : 0);  // [+0x0A] compression mode
+  writer.writeUint8(mask);              // [+0x09] mask  
+  writer.writeUint8(bodyCompression);   // [+0x0A] compression mode
   writer.writeUint8(0);                 // [+0x0B] padding byte  
-  writer.writeUint16(0);                // [+0x0C] transparent color
+  writer.writeUint16(transparentColor); // [+0x0C] transparent color
   writer.writeUint8(xAspectRatio);      // [+0x0E] x aspect
   writer.writeUint8(yAspectRatio);      // [+0x0F] y aspect 
   writer.writeInt16(pageWidth);         // [+0x10] pageWidth
@@ -110,34 +415,942 @@ export default (imageData, palette, options = {}) => {
   writer.endChunk();
   
   // Write the CAMG chunk if it's needed.
-  if (amigaEhb || amigaLace || amigaHires) {
-    const flags = 
-      (amigaEhb && AMIGA_MODE_EHB) |
-      (amigaLace && AMIGA_MODE_LACE) |
-      (amigaHires && AMIGA_MODE_HIRES);
+  const modeId = createAmigaModeId({
+    ...amigaMode,
+    ehb: amigaEhb,
+    ham: amigaHam,
+    lace: amigaLace,
+    hires: amigaHires
+  });
+  if (modeId) {
     writer.startChunk(IFF_CHUNK_ID_CAMG);
-    writer.writeUint32(flags);
+    writer.writeUint32(modeId);
     writer.endChunk();
   }
 
-  // The palette
-  writer.startChunk(IFF_CHUNK_ID_CMAP);
-  for (const { r, g, b } of palette.resample(8)) {
-    writer.writeUint8(r);
-    writer.writeUint8(g);
-    writer.writeUint8(b);
+  // The palette. Deep images don't have one.
+  if (palette) {
+    writer.startChunk(IFF_CHUNK_ID_CMAP);
+    for (const { r, g, b } of palette.resample(8)) {
+      writer.writeUint8(r);
+      writer.writeUint8(g);
+      writer.writeUint8(b);
+    }
+    writer.endChunk();
+  }
+
+  // Color cycling ranges
+  for (const cycle of colorCycles) {
+    writeColorCycle(writer, cycle);
+  }
+
+  // The per-line palettes. `RAST` entries contain the line number followed by
+  // an Atari ST palette. Sliced HAM palettes are stored as 16 12-bit colors.
+  // `PCHG` chunks store the changes between each line.
+  if (rasters) {
+    writer.startChunk(rasterChunkId);
+    if (paletteChanges) {
+      writer.writeBytes(paletteChanges);
+    } else if (rasterChunkId === IFF_CHUNK_ID_RAST) {
+      const colors = new Uint8Array(32);
+      rasters.forEach((raster, line) => {
+        colors.fill(0);
+        writeAtariStIndexedPalette(colors, raster);
+        writer.writeUint16(line);
+        writer.writeBytes(colors);
+      });
+    } else {
+      if (rasterChunkId === IFF_CHUNK_ID_SHAM) {
+        writer.writeUint16(0);          // version
+      }
+      for (const raster of rasters) {
+        for (const { r, g, b } of raster) {
+          writer.writeUint16((r << 8) | (g << 4) | b);
+        }
+      }
+    }
+    writer.endChunk();
+  }
+
+  // Additional chunks, such as annotations, are written in their original 
+  // order before the image body.
+  for (const { id, data } of chunks) {
+    writer.startChunk(id);
+    writer.writeBytes(data);
+    writer.endChunk();
   }
-  writer.endChunk();
 
   // Write the image body
-  if (encoding === IFF_ENCODING_FORMAT_ILBM) {
+  if (encoding === IFF_ENCODING_FORMAT_ACBM) {
+    writer.startChunk(IFF_CHUNK_ID_ABIT);
+  } else {
     writer.startChunk(IFF_CHUNK_ID_BODY);
+  }
+  if (vdatChunks) {
+    let length = 0;
+    for (const chunk of vdatChunks) {
+      writer.startChunk(IFF_CHUNK_ID_VDAT);
+      writer.writeBytes(chunk);
+      length = writer.endChunk();
+    }
+    // Pad the last `VDAT` chunk so the body ends on a word boundary
+    if (length % 2) {
+      writer.writeUint8(0);
+    }
   } else {
-    writer.startChunk(IFF_CHUNK_ID_ABIT);
+    writer.writeBytes(planeData);
   }
-  writer.writeBytes(planeData);
   writer.endChunk();
 
   // Return the buffer
   return buffer.slice(0, writer.endChunk());
 };
+
+export default encodeIff;
+
+
+/**
+ * Encodes several images into an IFF `CAT ` file. Each image is encoded as a
+ * separate `FORM` using its own palette and encoding options.
+ * 
+ * @param {Array<IffCatImage>} images - The images to encode
+ * @returns {ArrayBuffer} - The encoded IFF file bytes
+ * @throws {PlanarCoderError} If there are no images to encode
+ */
+export const encodeAll = (images) => {
+  if (!images.length) {
+    throw new PlanarCoderError('No images to encode');
+  }
+
+  const forms = images.map(({ imageData, palette, options }) => {
+    return new Uint8Array(encodeIff(imageData, palette, options));
+  });
+
+  // The `CAT ` type is a hint of the `FORM` types it contains
+  const types = forms.map((form) => new IffChunkReader(form.buffer).readChunk().reader.readString(4));
+  const type = types.every((formType) => formType === types[0]) ? types[0] : IFF_CHUNK_ID_MIXED;
+
+  const length = forms.reduce((length, form) => length + form.byteLength + 1, 0);
+  const buffer = new ArrayBuffer(length + 12);
+  const writer = new IffChunkWriter(buffer);
+
+  writer.startChunk(IFF_CHUNK_ID_CAT);
+  writer.writeString(type);
+  for (const form of forms) {
+    // Chunks are word aligned, so add a padding byte after odd length forms
+    writer.writeBytes(form);
+    if (form.byteLength % 2) {
+      writer.writeUint8(0);
+    }
+  }
+  return buffer.slice(0, writer.endChunk());
+};
+
+
+/**
+ * Returns the byte offset and bit of a pixel in a bitplane.
+ * 
+ * @param {import('../../types.js').BitplaneEncodingFormat} format - The bitplane encoding format (line or contiguous)
+ * @param {number} x - The x position of the pixel
+ * @param {number} y - The y position of the pixel
+ * @param {number} plane - The bitplane
+ * @param {number} planes - The number of bitplanes in the image
+ * @param {number} bytesPerLine - Number of bytes in a bitplane scanline
+ * @param {number} height - The height of the image
+ * @returns {[number, number]} The byte offset and the bit mask of the pixel
+ */
+const getPixelOffset = (format, x, y, plane, planes, bytesPerLine, height) => {
+  let offset;
+  if (format === ENCODING_FORMAT_LINE) {
+    offset = (y * planes + plane) * bytesPerLine;
+  } else {
+    offset = (plane * height + y) * bytesPerLine;
+  }
+  return [offset + (x >> 3), 0x80 >> (x & 7)];
+};
+
+
+/**
+ * Returns the RGBA data of the opaque pixels in a range of an image, so
+ * transparent pixels don't affect the colors of a generated palette.
+ *
+ * @param {Uint8ClampedArray} data - The RGBA pixel data of the image
+ * @param {Uint8Array} [transparentPixels] - Flags indicating which pixels are transparent
+ * @param {number} start - The first pixel of the range
+ * @param {number} end - The pixel after the last pixel of the range
+ * @returns {Uint8ClampedArray} The RGBA data of the opaque pixels
+ */
+const getOpaquePixelData = (data, transparentPixels, start, end) => {
+  if (!transparentPixels) {
+    return data.subarray(start * 4, end * 4);
+  }
+  const opaqueData = new Uint8ClampedArray((end - start) * 4);
+  let length = 0;
+  for (let pixel = start; pixel < end; pixel++) {
+    if (!transparentPixels[pixel]) {
+      opaqueData.set(data.subarray(pixel * 4, pixel * 4 + 4), length);
+      length += 4;
+    }
+  }
+  return opaqueData.subarray(0, length);
+};
+
+
+/**
+ * Creates a palette for the opaque pixels of an image. If a palette index is
+ * reserved for transparent pixels, that color is set to black and the image
+ * colors are stored in the remaining entries.
+ *
+ * @param {Uint8ClampedArray} pixels - The RGBA data of the opaque pixels
+ * @param {number} colors - The number of colors in the palette
+ * @param {number} bitsPerChannel - The number of bits used to store each channel of a palette color
+ * @param {number} reservedColor - The palette index of the transparent color, or `-1` if there isn't one
+ * @returns {IndexedPalette} The new palette
+ */
+const createOpaquePalette = (pixels, colors, bitsPerChannel, reservedColor) => {
+  if (reservedColor < 0 || reservedColor >= colors) {
+    return createQuantizedIndexedPalette(pixels, colors, bitsPerChannel);
+  }
+  const imageColors = createQuantizedIndexedPalette(pixels, colors - 1, bitsPerChannel);
+  const palette = new IndexedPalette(colors, { bitsPerChannel });
+  palette.setColor(reservedColor, 0, 0, 0);
+  for (let c = 0; c < imageColors.length; c++) {
+    const { r, g, b } = imageColors.getColor(c);
+    palette.setColor(c < reservedColor ? c : c + 1, r, g, b);
+  }
+  return palette;
+};
+
+
+/**
+ * Sets every transparent pixel of an image to the transparent color index.
+ * 
+ * @param {Uint8Array} planeData - The bitplane data
+ * @param {import('../../types.js').BitplaneEncodingFormat} format - The bitplane encoding format (line or contiguous)
+ * @param {number} width - The width of the image
+ * @param {number} height - The height of the image
+ * @param {number} planes - The number of bitplanes in the image
+ * @param {Uint8Array} transparentPixels - Flags indicating which pixels are transparent
+ * @param {number} transparentColor - The palette index of the transparent color
+ */
+const writeTransparentColor = (planeData, format, width, height, planes, transparentPixels, transparentColor) => {
+  const bytesPerLine = width / 8;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (transparentPixels[y * width + x]) {
+        for (let plane = 0; plane < planes; plane++) {
+          const [offset, bit] = getPixelOffset(format, x, y, plane, planes, bytesPerLine, height);
+          if (transparentColor & (1 << plane)) {
+            planeData[offset] |= bit;
+          } else {
+            planeData[offset] &= ~bit;
+          }
+        }
+      }
+    }
+  }
+};
+
+
+/**
+ * Determines if any opaque pixels of an image are encoded using the 
+ * transparent color index of a palette.
+ * 
+ * @param {ImageData} imageData - The image data
+ * @param {IndexedPalette} palette - The palette used to encode the image
+ * @param {Uint8Array} transparentPixels - Flags indicating which pixels are transparent
+ * @param {number} transparentColor - The palette index of the transparent color
+ * @returns {boolean} `true` if an opaque pixel uses the transparent color
+ */
+const hasOpaqueTransparentPixels = (imageData, palette, transparentPixels, transparentColor) => {
+  const colors = palette.resample(8).toValueArray();
+  const color = colors[transparentColor];
+
+  // Pixels are given the first palette index that matches their color
+  if (color === undefined || colors.indexOf(color) !== transparentColor) {
+    return false;
+  }
+
+  const view = new DataView(imageData.data.buffer);
+  for (let pixel = 0; pixel < transparentPixels.length; pixel++) {
+    if (!transparentPixels[pixel] && view.getUint32(pixel * 4) === color) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Adds a mask plane to bitplane data. Line-interleaved images store the mask
+ * after the bitplanes of each line, contiguous images store it after the last
+ * bitplane. Opaque pixels are set in the mask.
+ * 
+ * @param {Uint8Array} planeData - The bitplane data
+ * @param {import('../../types.js').BitplaneEncodingFormat} format - The bitplane encoding format (line or contiguous)
+ * @param {number} width - The width of the image
+ * @param {number} height - The height of the image
+ * @param {number} planes - The number of bitplanes in the image
+ * @param {Uint8Array} transparentPixels - Flags indicating which pixels are transparent
+ * @returns {Uint8Array} The bitplane data, including the mask plane
+ */
+const insertMaskPlane = (planeData, format, width, height, planes, transparentPixels) => {
+  const bytesPerLine = width / 8;
+  const maskedData = new Uint8Array(planeData.length + bytesPerLine * height);
+
+  if (format === ENCODING_FORMAT_LINE) {
+    const lineLength = bytesPerLine * planes;
+    for (let y = 0; y < height; y++) {
+      maskedData.set(planeData.subarray(y * lineLength, (y + 1) * lineLength), y * (lineLength + bytesPerLine));
+    }
+  } else {
+    maskedData.set(planeData);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!transparentPixels[y * width + x]) {
+        const [offset, bit] = getPixelOffset(format, x, y, planes, planes + 1, bytesPerLine, height);
+        maskedData[offset] |= bit;
+      }
+    }
+  }
+
+  return maskedData;
+};
+
+
+/**
+ * Compresses a single bitplane of line-interleaved data into the contents of
+ * a `VDAT` chunk. The bitplane is read in 16 pixel vertical strips and stored
+ * as a list of commands followed by the data words. A command of:
+ * 
+ * - `0` copies the number of words given by the next data word
+ * - `1` repeats the word following the next data word by its value
+ * - `< 0` copies `-command` words
+ * - `> 1` repeats the next data word `command` times
+ * 
+ * @param {Uint8Array} planeData - Line-interleaved bitplane data
+ * @param {number} plane - The bitplane to compress
+ * @param {number} planes - The number of bitplanes in the image
+ * @param {number} bytesPerLine - Number of bytes in a bitplane scanline
+ * @param {number} height - Number of vertical pixels in the image
+ * @returns {Uint8Array} The `VDAT` chunk contents
+ */
+const packVdatChunk = (planeData, plane, planes, bytesPerLine, height) => {
+  const words = [];
+  const commands = [];
+  const data = [];
+
+  for (let x = 0; x < bytesPerLine; x += 2) {
+    for (let y = 0; y < height; y++) {
+      const offset = (y * planes + plane) * bytesPerLine + x;
+      words.push((planeData[offset] << 8) | planeData[offset + 1]);
+    }
+  }
+
+  let pos = 0;
+  let literalStart = 0;
+
+  const writeLiterals = () => {
+    while (literalStart < pos) {
+      const count = Math.min(pos - literalStart, 0xffff);
+      if (count <= 128) {
+        commands.push(-count);
+      } else {
+        commands.push(0);
+        data.push(count);
+      }
+      data.push(...words.slice(literalStart, literalStart + count));
+      literalStart += count;
+    }
+  };
+
+  while (pos < words.length) {
+    let run = 1;
+    while (pos + run < words.length && words[pos + run] === words[pos] && run < 0xffff) {
+      run++;
+    }
+    if (run > 1) {
+      writeLiterals();
+      if (run <= 127) {
+        commands.push(run);
+      } else {
+        commands.push(1);
+        data.push(run);
+      }
+      data.push(words[pos]);
+      pos += run;
+      literalStart = pos;
+    } else {
+      pos++;
+    }
+  }
+  writeLiterals();
+
+  // The command count includes the 2 bytes used to store it
+  const chunk = new Uint8Array(2 + commands.length + data.length * 2);
+  const view = new DataView(chunk.buffer);
+  view.setUint16(0, commands.length + 2);
+  commands.forEach((command, index) => view.setInt8(2 + index, command));
+  data.forEach((word, index) => view.setUint16(2 + commands.length + index * 2, word));
+  return chunk;
+};
+
+
+/**
+ * Maps a set of per-line palettes to each line of an image. Laced `SHAM` images
+ * have a palette for every pair of lines, so there can be fewer palettes than
+ * lines.
+ * 
+ * @param {Array<IndexedPalette>} palettes The per-line palettes
+ * @param {number} height The height of the image
+ * @returns {Array<IndexedPalette>} A palette for each line of the image
+ */
+const getLinePalettes = (palettes, height) => {
+  const linePalettes = [];
+  for (let y = 0; y < height; y++) {
+    if (palettes.length < height) {
+      linePalettes.push(palettes[y * palettes.length / height | 0]);
+    } else {
+      linePalettes.push(palettes[y]);
+    }
+  }
+  return linePalettes;
+};
+
+
+/**
+ * Creates the contents of a `PCHG` chunk from a set of per-line palettes. The
+ * first palette is stored in the `CMAP` chunk, so the chunk contains the 
+ * registers that change on each following line. Changes are stored as 12 bit
+ * colors (small lines) if possible, otherwise as 24 bit colors (big lines). 
+ * The line data is Huffman compressed if that makes it smaller.
+ * 
+ * @param {Array<IndexedPalette>} palettes The palette for each line
+ * @returns {Uint8Array} The chunk data
+ */
+const createPaletteChanges = (palettes) => {
+  const lineColors = palettes.map((palette) => {
+    return [...palette.resample(8)].map(({ r, g, b }) => {
+      return {
+        r: Math.round(r),
+        g: Math.round(g),
+        b: Math.round(b)
+      };
+    });
+  });
+
+  // The header stores the range of changed registers and the most changes on
+  // a line. These are tracked as we go, since a tall image with a large
+  // palette has too many changes to spread into `Math.min` and `Math.max`.
+  let minIndex = Infinity;
+  let maxIndex = 0;
+  let maxLineChanges = 0;
+  let totalChanges = 0;
+  let small = true;
+
+  // Find the registers that differ from the line above
+  const changes = lineColors.map((colors, line) => {
+    const changed = [];
+    if (line) {
+      const previous = lineColors[line - 1];
+      colors.forEach(({ r, g, b }, index) => {
+        const color = previous[index];
+        if (!color || color.r !== r || color.g !== g || color.b !== b) {
+          changed.push({
+            index,
+            r,
+            g,
+            b
+          });
+          minIndex = Math.min(minIndex, index);
+          maxIndex = Math.max(maxIndex, index);
+          if (index >= 32 || r % 17 || g % 17 || b % 17) {
+            small = false;
+          }
+        }
+      });
+    }
+    maxLineChanges = Math.max(maxLineChanges, changed.length);
+    totalChanges += changed.length;
+    return changed;
+  });
+
+  const lineData = [];
+  const writeUint16 = (value) => lineData.push(value >> 8, value & 0xff);
+
+  // The line data starts with a bit mask flagging which lines have changes
+  const mask = new Uint8Array(Math.ceil(palettes.length / 32) * 4);
+  changes.forEach((changed, line) => {
+    if (changed.length) {
+      mask[line >> 3] |= 0x80 >> (line & 7);
+    }
+  });
+  lineData.push(...mask);
+
+  for (const changed of changes) {
+    if (!changed.length) {
+      continue;
+    }
+    if (small) {
+      // Changes to registers 0-15 are stored before changes to registers 16-31
+      const low = changed.filter(({ index }) => index < 16);
+      const high = changed.filter(({ index }) => index >= 16);
+      lineData.push(low.length, high.length);
+      for (const color of [...low, ...high]) {
+        writeUint16(((color.index & 0xf) << 12) | ((color.r / 17) << 8) | ((color.g / 17) << 4) | (color.b / 17));
+      }
+    } else {
+      // Big line colors are stored in alpha, red, blue, green order
+      writeUint16(changed.length);
+      for (const color of changed) {
+        writeUint16(color.index);
+        lineData.push(0, color.r, color.b, color.g);
+      }
+    }
+  }
+
+  let compression = PCHG_COMPRESSION_NONE;
+  let data = new Uint8Array(lineData);
+  const compressed = packHuffman(data);
+  if (compressed.tree.length + compressed.data.length + 8 < data.length) {
+    compression = PCHG_COMPRESSION_HUFFMAN;
+  }
+
+  const length = compression === PCHG_COMPRESSION_HUFFMAN ? compressed.tree.length + compressed.data.length + 8 : data.length;
+  const chunk = new Uint8Array(20 + length);
+  const view = new DataView(chunk.buffer);
+  view.setUint16(0, compression);                                           // [+0x00] compression method
+  view.setUint16(2, small ? PCHG_FLAG_SMALL_LINES : PCHG_FLAG_BIG_LINES);   // [+0x02] line format flags
+  view.setInt16(4, 0);                                                      // [+0x04] first line
+  view.setUint16(6, palettes.length);                                       // [+0x06] number of lines
+  view.setUint16(8, changes.filter((changed) => changed.length).length);    // [+0x08] number of changed lines
+  view.setUint16(10, totalChanges ? minIndex : 0);                          // [+0x0A] lowest changed register
+  view.setUint16(12, maxIndex);                                             // [+0x0C] highest changed register
+  view.setUint16(14, maxLineChanges);                                       // [+0x0E] most changes on a line
+  view.setUint32(16, totalChanges);                                         // [+0x10] total number of changes
+
+  if (compression === PCHG_COMPRESSION_HUFFMAN) {
+    view.setUint32(20, compressed.tree.length);
+    view.setUint32(24, data.length);
+    chunk.set(compressed.tree, 28);
+    chunk.set(compressed.data, 28 + compressed.tree.length);
+  } else {
+    chunk.set(data, 20);
+  }
+
+  return chunk;
+};
+
+
+/**
+ * Converts a palette into a 16 color, 12-bit palette suitable for storing in a
+ * sliced HAM or `RAST` chunk. Missing colors are set to black.
+ * 
+ * @param {IndexedPalette} palette The palette to convert
+ * @returns {IndexedPalette} The line palette
+ * @throws {PlanarCoderError} If the palette has more than 16 colors
+ */
+const createRasterPalette = (palette) => {
+  if (palette.length > 16) {
+    throw new PlanarCoderError('Too many colors');
+  }
+  const rasterPalette = new IndexedPalette(16, { bitsPerChannel: 4 });
+  const colors = palette.resample(4);
+  for (let c = 0; c < 16; c++) {
+    if (c < colors.length) {
+      const { r, g, b } = colors.getColor(c);
+      rasterPalette.setColor(c, Math.round(r), Math.round(g), Math.round(b));
+    } else {
+      rasterPalette.setColor(c, 0, 0, 0);
+    }
+  }
+  return rasterPalette;
+};
+
+
+/**
+ * Converts `ImageData` into PBM (chunky) pixel data. Each pixel is stored as a
+ * byte containing its palette index, with lines padded to an even length.
+ * 
+ * @param {ImageData} imageData The image to convert
+ * @param {IndexedPalette} palette The color palette
+ * @param {Uint8Array} [transparentPixels] Flags indicating which pixels must use the transparent color
+ * @param {number} [transparentColor] The palette index of the transparent color
+ * @returns {Uint8Array} The encoded pixel data
+ */
+const encodeChunkyImage = (imageData, palette, transparentPixels, transparentColor) => {
+  const { width, height } = imageData;
+  const bytesPerLine = width + (width & 1);
+  const pixelData = new Uint8Array(bytesPerLine * height);
+  const reader = new ImageDataIndexedPaletteReader(imageData, palette);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = reader.read();
+      if (transparentPixels && transparentPixels[y * width + x]) {
+        pixelData[y * bytesPerLine + x] = transparentColor;
+      } else {
+        pixelData[y * bytesPerLine + x] = index;
+      }
+    }
+  }
+
+  return pixelData;
+};
+
+
+/**
+ * Converts `ImageData` into Impulse RGBN or RGB8 pixel data. Each run of 
+ * identical pixels is stored as a color followed by a repeat count, with runs
+ * ending at the end of each line. Counts that don't fit in the color entry are
+ * stored in the following byte or, for larger counts, word.
+ * 
+ * @param {ImageData} imageData The image to convert
+ * @param {IFF_ENCODING_FORMAT_RGBN|IFF_ENCODING_FORMAT_RGB8} encoding The encoding format
+ * @returns {Uint8Array} The encoded pixel data
+ */
+const encodeImpulseImage = (imageData, encoding) => {
+  const { width, height, data } = imageData;
+  const rgbn = encoding === IFF_ENCODING_FORMAT_RGBN;
+  const maxInlineCount = rgbn ? 0x07 : 0x7f;
+  const pixelData = [];
+
+  // Returns the color entry of a pixel, without the count
+  const getColor = (pixel) => {
+    const pos = pixel * 4;
+    const genlock = data[pos + 3] < 128;
+    if (rgbn) {
+      const r = Math.round(data[pos] / 17);
+      const g = Math.round(data[pos + 1] / 17);
+      const b = Math.round(data[pos + 2] / 17);
+      return (r << 12) | (g << 8) | (b << 4) | (genlock ? 0x08 : 0);
+    }
+    return ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | (genlock ? 0x80 : 0)) >>> 0;
+  };
+
+  for (let y = 0; y < height; y++) {
+    let x = 0;
+    while (x < width) {
+      const color = getColor(y * width + x);
+      let count = 1;
+      while (x + count < width && count < 0xffff && getColor(y * width + x + count) === color) {
+        count++;
+      }
+      x += count;
+
+      const inlineCount = count <= maxInlineCount ? count : 0;
+      if (rgbn) {
+        pixelData.push((color | inlineCount) >> 8, (color | inlineCount) & 0xff);
+      } else {
+        pixelData.push(color >>> 24, (color >> 16) & 0xff, (color >> 8) & 0xff, (color | inlineCount) & 0xff);
+      }
+      if (!inlineCount) {
+        if (count <= 0xff) {
+          pixelData.push(count);
+        } else {
+          pixelData.push(0, count >> 8, count & 0xff);
+        }
+      }
+    }
+  }
+
+  return new Uint8Array(pixelData);
+};
+
+
+/**
+ * Converts `ImageData` into deep (true color) bitplane data. Each channel is
+ * stored in 8 bitplanes, starting with red. The alpha channel is only stored
+ * for 32 plane images.
+ * 
+ * @param {ImageData} imageData The image to convert
+ * @param {number} planes The number of bitplanes (24 or 32)
+ * @param {import('../../types.js').BitplaneEncodingFormat} format The bitplane encoding format (line or contiguous)
+ * @returns {Uint8Array} The encoded bitplane data
+ */
+const encodeDeepImage = (imageData, planes, format) => {
+  const { width, height, data } = imageData;
+  const bitplaneData = new Uint8Array(width / 8 * height * planes);
+  let writer;
+
+  if (format === ENCODING_FORMAT_LINE) {
+    writer = BitplaneWriter.line(bitplaneData, planes, width);
+  } else {
+    writer = BitplaneWriter.contiguous(bitplaneData, planes, width, height);
+  }
+
+  for (let pos = 0; pos < data.length; pos += 4) {
+    writer.write(data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24));
+  }
+
+  return bitplaneData;
+};
+
+
+/**
+ * Converts `ImageData` into line-interleaved bitplane data using a different
+ * palette for each line. Each pixel is mapped to the nearest color in the 
+ * palette for its line.
+ * 
+ * @param {ImageData} imageData The image to convert
+ * @param {Array<IndexedPalette>} palettes The palette for each line
+ * @param {number} planes The number of bitplanes
+ * @param {Uint8Array} [transparentPixels] Flags indicating which pixels must use the transparent color
+ * @param {number} [transparentColor] The palette index of the transparent color
+ * @returns {Uint8Array} The encoded bitplane data
+ */
+const encodeRasterImage = (imageData, palettes, planes, transparentPixels, transparentColor) => {
+  const { width, height, data } = imageData;
+  const bitplaneData = new Uint8Array(width / 8 * height * planes);
+  const writer = BitplaneWriter.line(bitplaneData, planes, width);
+
+  for (let y = 0; y < height; y++) {
+    const colors = palettes[y].resample(8).toValueArray(false);
+    for (let x = 0; x < width; x++) {
+      if (transparentPixels && transparentPixels[y * width + x]) {
+        writer.write(transparentColor);
+        continue;
+      }
+      const pos = (y * width + x) * 4;
+      let nearest = Infinity;
+      let index = 0;
+      colors.forEach((color, c) => {
+        // The transparent color index is reserved for transparent pixels
+        if (transparentPixels && c === transparentColor) {
+          return;
+        }
+        const dist = (
+          ((color >> 16) - data[pos]) ** 2 + 
+          (((color >> 8) & 0xff) - data[pos + 1]) ** 2 + 
+          ((color & 0xff) - data[pos + 2]) ** 2
+        );
+        if (dist < nearest) {
+          nearest = dist;
+          index = c;
+        }
+      });
+      writer.write(index);
+    }
+  }
+
+  return bitplaneData;
+};
+
+
+/**
+ * Converts `ImageData` into HAM (Hold-And-Modify) encoded, line-interleaved 
+ * bitplane data. Each pixel either sets a color from the base palette or holds
+ * the color of the previous pixel and modifies its red, green or blue channel. 
+ * The command chosen for a pixel is the one that minimises the combined error
+ * of that pixel and the best command available for the pixel that follows it.
+ * 
+ * The first pixel of every line always uses a base palette color so the output
+ * doesn't depend on how a decoder treats the color at the start of a line.
+ * 
+ * @param {ImageData} imageData The image to convert
+ * @param {Array<IndexedPalette>} palettes The base palette (16 colors for HAM6, 64 for HAM8) for each line
+ * @param {number} planes The number of bitplanes (6 or 8)
+ * @param {Uint8Array} [transparentPixels] Flags indicating which pixels must use the transparent color
+ * @param {number} [transparentColor] The palette index of the transparent color
+ * @returns {Uint8Array} The encoded bitplane data
+ */
+const encodeHamImage = (imageData, palettes, planes, transparentPixels, transparentColor) => {
+  const { width, height, data } = imageData;
+  const valueBits = planes - 2;
+  const maxLevel = (1 << valueBits) - 1;
+  const bitplaneData = new Uint8Array(width / 8 * height * planes);
+  const writer = BitplaneWriter.line(bitplaneData, planes, width);
+
+  // The channel value each modify level produces when decoded, and the level
+  // that best represents each 8 bit channel value.
+  const levels = new Uint8Array(maxLevel + 1).map((_, level) => Math.trunc(level * 255 / maxLevel));
+  const nearestLevel = new Uint8Array(256).map((_, value) => Math.round(value / 255 * maxLevel));
+
+  // Modify commands (stored in the upper two bits of a pixel)
+  const modifyBlue = 1 << valueBits;
+  const modifyRed = 2 << valueBits;
+  const modifyGreen = 3 << valueBits;
+
+  // The error of the nearest base color for each pixel in the current line
+  const setErrors = new Uint32Array(width);
+
+  const distance = (r1, g1, b1, r2, g2, b2) => {
+    return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+  };
+
+  for (let y = 0; y < height; y++) {
+    const lineOffset = y * width * 4;
+    const colors = palettes[y].resample(8).toValueArray(false);
+
+    for (let x = 0; x < width; x++) {
+      const pos = lineOffset + x * 4;
+      setErrors[x] = Math.min(...colors.map((color) => {
+        return distance(color >> 16, (color >> 8) & 0xff, color & 0xff, data[pos], data[pos + 1], data[pos + 2]);
+      }));
+    }
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+
+    for (let x = 0; x < width; x++) {
+      const pos = lineOffset + x * 4;
+      const tr = data[pos];
+      const tg = data[pos + 1];
+      const tb = data[pos + 2];
+      const lastPixel = x === width - 1;
+      let bestCost = Infinity;
+      let bestIndex = 0;
+
+      // The smallest error that can be achieved for the next pixel if the
+      // current pixel is set to the given color.
+      const lookAhead = (cr, cg, cb) => {
+        if (lastPixel) {
+          return 0;
+        }
+        const nr = data[pos + 4];
+        const ng = data[pos + 5];
+        const nb = data[pos + 6];
+        return Math.min(
+          setErrors[x + 1],
+          distance(levels[nearestLevel[nr]], cg, cb, nr, ng, nb),
+          distance(cr, levels[nearestLevel[ng]], cb, nr, ng, nb),
+          distance(cr, cg, levels[nearestLevel[nb]], nr, ng, nb)
+        );
+      };
+
+      const consider = (index, cr, cg, cb) => {
+        // The transparent color index is reserved for transparent pixels
+        if (transparentPixels && index === transparentColor) {
+          return;
+        }
+        const cost = distance(cr, cg, cb, tr, tg, tb) + lookAhead(cr, cg, cb);
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestIndex = index;
+        }
+      };
+
+      colors.forEach((color, index) => {
+        consider(index, color >> 16, (color >> 8) & 0xff, color & 0xff);
+      });
+
+      if (x > 0) {
+        consider(modifyRed | nearestLevel[tr], levels[nearestLevel[tr]], g, b);
+        consider(modifyGreen | nearestLevel[tg], r, levels[nearestLevel[tg]], b);
+        consider(modifyBlue | nearestLevel[tb], r, g, levels[nearestLevel[tb]]);
+      }
+
+      if (transparentPixels && transparentPixels[y * width + x]) {
+        bestIndex = transparentColor;
+      }
+
+      // Update the held color
+      const command = bestIndex & ~maxLevel;
+      const level = bestIndex & maxLevel;
+      if (command === modifyRed) {
+        r = levels[level];
+      } else if (command === modifyGreen) {
+        g = levels[level];
+      } else if (command === modifyBlue) {
+        b = levels[level];
+      } else {
+        r = colors[bestIndex] >> 16;
+        g = (colors[bestIndex] >> 8) & 0xff;
+        b = colors[bestIndex] & 0xff;
+      }
+
+      writer.write(bestIndex);
+    }
+  }
+
+  return bitplaneData;
+};
+
+
+/**
+ * Writes a color cycling range as a `CRNG`, `CCRT` or `DRNG` chunk. Ranges 
+ * without a chunk type are written as `CRNG` chunks.
+ * 
+ * @param {IffChunkWriter} writer - The chunk writer
+ * @param {IffColorCycle} cycle - The color cycling range
+ */
+const writeColorCycle = (writer, cycle) => {
+  const {
+    chunk = IFF_CHUNK_ID_CRNG,
+    start,
+    end,
+    rate,
+    direction,
+    active,
+    cells = []
+  } = cycle;
+
+  writer.startChunk(chunk);
+
+  // Graphicraft ranges store the time between each step
+  if (chunk === IFF_CHUNK_ID_CCRT) {
+    const delay = rate ? Math.round(1000000 / rate) : 0;
+    writer.writeInt16(active ? (direction < 0 ? -1 : 1) : 0);
+    writer.writeUint8(start);
+    writer.writeUint8(end);
+    writer.writeUint32(Math.floor(delay / 1000000));
+    writer.writeUint32(delay % 1000000);
+    writer.writeUint16(0);
+  } 
+  
+  else {
+    const flags = 
+      (active && COLOR_CYCLE_FLAG_ACTIVE) |
+      (chunk === IFF_CHUNK_ID_CRNG && direction < 0 && COLOR_CYCLE_FLAG_REVERSE);
+    
+    if (chunk === IFF_CHUNK_ID_DRNG) {
+      writer.writeUint8(start);
+      writer.writeUint8(end);
+    } else {
+      writer.writeUint16(0);
+    }
+    writer.writeUint16(Math.round(rate * COLOR_CYCLE_RATE_SCALE / 60));
+    writer.writeUint16(flags);
+
+    if (chunk === IFF_CHUNK_ID_DRNG) {
+      const colorCells = cells.filter(({ index }) => index === undefined);
+      const indexCells = cells.filter(({ index }) => index !== undefined);
+      writer.writeUint8(colorCells.length);
+      writer.writeUint8(indexCells.length);
+      for (const colorCell of colorCells) {
+        writer.writeBytes([colorCell.cell, colorCell.r, colorCell.g, colorCell.b]);
+      }
+      for (const { cell, index } of indexCells) {
+        writer.writeBytes([cell, index]);
+      }
+    } else {
+      writer.writeUint8(start);
+      writer.writeUint8(end);
+    }
+  }
+
+  writer.endChunk();
+};
+
+
+/**
+ * Creates an Amiga mode ID from a monitor ID and display mode flags
+ * 
+ * @param {IffAmigaMode} mode - The display mode
+ * @returns {number} The mode ID
+ */
+const createAmigaModeId = (mode) => {
+  const flags = 
+    (mode.hires && AMIGA_MODE_HIRES) |
+    (mode.superHires && AMIGA_MODE_SUPERHIRES) |
+    (mode.lace && AMIGA_MODE_LACE) |
+    (mode.doubleScan && AMIGA_MODE_DOUBLESCAN) |
+    (mode.ham && AMIGA_MODE_HAM) |
+    (mode.ehb && AMIGA_MODE_EHB) |
+    (mode.dualPlayfield && AMIGA_MODE_DUALPF) |
+    (mode.playfield2Priority && AMIGA_MODE_PFBA);
+  return ((mode.monitor & AMIGA_MONITOR_ID_MASK) | flags) >>> 0;
+};
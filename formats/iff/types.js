@@ -1,17 +1,94 @@
+/* eslint-disable no-unused-vars */
 import {
+  IFF_CHUNK_ID_BEAM,
+  IFF_CHUNK_ID_CTBL,
+  IFF_CHUNK_ID_RAST,
+  IFF_CHUNK_ID_SHAM,
+  IFF_CHUNK_ID_PCHG,
+  IFF_CHUNK_ID_CRNG,
+  IFF_CHUNK_ID_CCRT,
+  IFF_CHUNK_ID_DRNG,
   COMPRESSION_NONE,
   COMPRESSION_PACKBITS,
   COMPRESSION_ATARI,
+  COMPRESSION_IMPULSE,
+  MASK_NONE,
+  MASK_HAS_MASK,
+  MASK_HAS_TRANSPARENT_COLOR,
+  MASK_LASSO,
   IFF_ENCODING_FORMAT_ILBM,
-  IFF_ENCODING_FORMAT_ACBM
+  IFF_ENCODING_FORMAT_ACBM,
+  IFF_ENCODING_FORMAT_PBM,
+  IFF_ENCODING_FORMAT_RGBN,
+  IFF_ENCODING_FORMAT_RGB8
 } from './consts.js';
 
 /**
- * @typedef {IFF_ENCODING_FORMAT_ILBM|IFF_ENCODING_FORMAT_ACBM} IffImageEncodingType
+ * @typedef {IFF_ENCODING_FORMAT_ILBM|IFF_ENCODING_FORMAT_ACBM|IFF_ENCODING_FORMAT_PBM|IFF_ENCODING_FORMAT_RGBN|IFF_ENCODING_FORMAT_RGB8} IffImageEncodingType
  */
 
 /**
- * @typedef {COMPRESSION_NONE|COMPRESSION_PACKBITS|COMPRESSION_ATARI} IffImageCompressionType
+ * @typedef {COMPRESSION_NONE|COMPRESSION_PACKBITS|COMPRESSION_ATARI|COMPRESSION_IMPULSE} IffImageCompressionType
+ */
+
+/**
+ * @typedef {IFF_CHUNK_ID_SHAM|IFF_CHUNK_ID_CTBL|IFF_CHUNK_ID_BEAM|IFF_CHUNK_ID_RAST|IFF_CHUNK_ID_PCHG} IffRasterChunkType
+ */
+
+/**
+ * @typedef {MASK_NONE|MASK_HAS_MASK|MASK_HAS_TRANSPARENT_COLOR|MASK_LASSO} IffImageMaskType
+ */
+
+/**
+ * @typedef {IFF_CHUNK_ID_CRNG|IFF_CHUNK_ID_CCRT|IFF_CHUNK_ID_DRNG} IffColorCycleChunkType
+ */
+
+/**
+ * @typedef IffColorCycleCell
+ * @property {number} cell The position of the cell in the range
+ * @property {number} [index] The palette index shown in the cell
+ * @property {number} [r] The red component of a true color cell
+ * @property {number} [g] The green component of a true color cell
+ * @property {number} [b] The blue component of a true color cell
+ */
+
+/**
+ * @typedef IffColorCycle
+ * @property {IffColorCycleChunkType} [chunk] The chunk the range is stored in. Defaults to `CRNG`
+ * @property {number} start The first palette index of the range
+ * @property {number} end The last palette index of the range
+ * @property {number} rate The number of steps per second
+ * @property {number} direction The direction of the rotation. `1` moves colors to higher indexes, `-1` moves them to lower indexes
+ * @property {boolean} active Indicates if the range is being cycled
+ * @property {Array<IffColorCycleCell>} [cells] The cells of a `DRNG` range
+ */
+
+/**
+ * @typedef IffPaletteChangeColor
+ * @property {number} index The palette register
+ * @property {number} r The red channel value (0-255)
+ * @property {number} g The green channel value (0-255)
+ * @property {number} b The blue channel value (0-255)
+ * @property {number} a The alpha channel value (0-255)
+ */
+
+/**
+ * @typedef IffPaletteChange
+ * @property {number} line The line the changes are made on
+ * @property {Array<IffPaletteChangeColor>} colors The changed palette registers
+ */
+
+/**
+ * @typedef IffAmigaMode
+ * @property {number} [monitor] The monitor ID (`AMIGA_MONITOR_ID_*`), or `0` for the default monitor
+ * @property {boolean} [hires] Indicates if the image uses the high resolution display mode
+ * @property {boolean} [superHires] Indicates if the image uses the super high resolution display mode
+ * @property {boolean} [lace] Indicates if the image uses the interlaced display mode
+ * @property {boolean} [doubleScan] Indicates if the image uses the double scan display mode
+ * @property {boolean} [ham] Indicates if the image uses the HAM (hold-and-modify) display mode
+ * @property {boolean} [ehb] Indicates if the image uses the EHB (extra half-brite) display mode
+ * @property {boolean} [dualPlayfield] Indicates if the image uses the dual playfield display mode
+ * @property {boolean} [playfield2Priority] Indicates if the second playfield is displayed in front of the first
  */
 
 /**
@@ -22,6 +99,13 @@ import {
  * @property {boolean} amigaEhb Indicates if this image requires the Amiga EHB (extra half-brite) graphics mode
  * @property {boolean} amigaHam Indicates if this image requires the Amiga HAM (hold-and-modify) graphics mode
  * @property {boolean} amigaHires Indicates if this image requires the Amiga high resolution graphics mode
+ * @property {IffAmigaMode} [amigaMode] The full Amiga display mode. Flags set here are combined with the `amiga*` flags when encoding
+ * @property {number} [planeCount] The number of bitplanes. Used to choose between HAM6 (6) and HAM8 (8), or 24 and 32 plane deep images, when encoding
+ * @property {IffRasterChunkType} [rasterChunk] The chunk used to store per-line palettes
+ * @property {IffImageMaskType} [mask] The masking technique used by the image
+ * @property {number} [transparentColor] The palette index of the transparent color
+ * @property {Array<IffColorCycle>} [colorCycles] The color cycling ranges
+ * @property {Array<IffRawChunk>} [chunks] Additional chunks, such as annotations, to store in the image
  * @property {number} pageWidth width of the raster device this image was created for
  * @property {number} pageHeight height of the raster device this image was created for
  * @property {number} xAspectRatio x component of the aspect ratio
@@ -31,6 +115,7 @@ import {
 /**
  * @typedef IffDecodeProperties
  * @property {IndexedPalette|IndexedPalette[]} palette The palette or raster palettes for the image
+ * @property {import('../../types.js').IndexedImage} [indices] The palette index of each pixel. Only set for images that use a single palette without HAM or EHB
  */
 
 /**
@@ -47,6 +132,70 @@ import {
  * @typedef {IffCoderOptions} IffEncodingOptions
  */
 
+/**
+ * @typedef IffCatImage
+ * @property {ImageData} imageData The image to encode
+ * @property {IndexedPalette|Array<IndexedPalette>} [palette] The color palette, or per-line palettes, to use
+ * @property {IffEncodingOptions} [options] The encoding options
+ */
+
+/**
+ * @typedef IffImageState
+ * @property {string} type The `FORM` type identifier
+ * @property {number} compression The BMHD compression method
+ * @property {number} width The width of the image
+ * @property {number} height The height of the image
+ * @property {number} planes The number of bitplanes, excluding the mask
+ * @property {number} bodyPlanes The number of bitplanes stored in the body, including the mask
+ * @property {number} mask The masking technique
+ * @property {number} transparentColor The palette index of the transparent color
+ * @property {IndexedPalette} palette The color map
+ * @property {number} amigaMode The `CAMG` display mode ID
+ * @property {number} bytesPerLine Number of bytes in a bitplane scanline
+ * @property {ArrayBuffer} bitplaneData The uncompressed bitplane data
+ * @property {import('../../types.js').BitplaneEncodingFormat} bitplaneEncoding The bitplane encoding format
+ * @property {number} xAspectRatio x component of the aspect ratio
+ * @property {number} yAspectRatio y component of the aspect ratio
+ * @property {number} pageWidth width of the raster device the image was created for
+ * @property {number} pageHeight height of the raster device the image was created for
+ * @property {Array<IndexedPalette>} rasters Per-line palettes
+ * @property {IffRasterChunkType} rasterChunk The chunk the per-line palettes were read from
+ * @property {Array<IffColorCycle>} colorCycles The color cycling ranges
+ * @property {Array<IffRawChunk>} chunks Chunks that aren't used to decode the image
+ */
+
+/**
+ * @typedef IffRawChunk
+ * @property {string} id - The four-character chunk identifier
+ * @property {Uint8Array} data - The chunk data
+ */
+
+/**
+ * @typedef IffHotspot
+ * @property {number} x - The horizontal position of the hotspot
+ * @property {number} y - The vertical position of the hotspot
+ */
+
+/**
+ * @typedef IffDpi
+ * @property {number} x - The horizontal resolution, in dots per inch
+ * @property {number} y - The vertical resolution, in dots per inch
+ */
+
+/**
+ * @typedef IffDestination
+ * @property {number} depth - The number of bitplanes in the destination image
+ * @property {number} planePick - Bitmask of the destination planes to store the source planes in
+ * @property {number} planeOnOff - Bitmask of the values to set destination planes that aren't picked to
+ * @property {number} planeMask - Bitmask of the destination planes that can be changed
+ */
+
+/**
+ * @typedef IffTextAnnotation
+ * @property {string} id - The chunk identifier
+ * @property {string} text - The text
+ */
+
 /**
  * @typedef IffChunk
  * @property {string} id - The four-character chunk identifier
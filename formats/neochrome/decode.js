@@ -1,9 +1,10 @@
 import { ENCODING_FORMAT_WORD } from '../../consts.js';
 import { readAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
-import { decode } from '../../decode.js';
+import { decodeIndexed, renderIndexedImage } from '../../decode.js';
 
 /**
  * @typedef {import('./types.js').NeochromeImage} NeochromeImage
+ * @typedef {import('../../types.js').ColorCycle} ColorCycle
  */
 
 /**
@@ -20,12 +21,42 @@ export default (buffer) => {
   const paletteData = new Uint8Array(buffer, 4, 32);
   const bitplaneData = new Uint8Array(buffer, 128, 32000);
   const palette = readAtariStIndexedPalette(paletteData, 16);
-  const decodingOptions = { format: ENCODING_FORMAT_WORD };
-  const imageData = decode(bitplaneData, 320, 200, palette, decodingOptions);
+  const decodingOptions = { format: ENCODING_FORMAT_WORD, planes: 4 };
+  const indices = decodeIndexed(bitplaneData, 320, 200, decodingOptions);
+  const imageData = renderIndexedImage(indices, palette);
   return {
     imageData,
     meta: {
-      palette
+      palette,
+      indices,
+      colorCycles: readColorCycles(new DataView(buffer))
     }
   };
 };
+
+
+/**
+ * Reads the color animation range from the NEOchrome header. The limits word
+ * has bit 15 set if the range is valid, with the left and right limits in the
+ * high and low nibbles of the low byte. The speed word has bit 15 set if the
+ * animation is on and the number of vblanks per step in its low byte, which
+ * is negative if the colors move left.
+ *
+ * @param {DataView} dataView - A view of the NEOchrome image
+ * @returns {Array<ColorCycle>} The color cycling range, or an empty array if the image doesn't have one
+ */
+const readColorCycles = (dataView) => {
+  const limits = dataView.getUint16(48);
+  const speed = dataView.getUint16(50);
+  if (!(limits & 0x8000)) {
+    return [];
+  }
+  const vblanks = (speed << 24) >> 24;
+  return [{
+    start: (limits >> 4) & 0xf,
+    end: limits & 0xf,
+    rate: vblanks ? 60 / Math.abs(vblanks) : 0,
+    direction: vblanks < 0 ? -1 : 1,
+    active: !!(speed & 0x8000)
+  }];
+};
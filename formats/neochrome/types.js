@@ -1,6 +1,8 @@
 /**
  * @typedef NeochromeImageMetadata
  * @property {IndexedPalette} palette The color palette for the image
+ * @property {import('../../types.js').IndexedImage} indices The palette index of each pixel
+ * @property {Array<import('../../types.js').ColorCycle>} colorCycles The color animation range
  */
 
 /**
@@ -1,5 +1,6 @@
 /**
- * A low-level interface for reading data from an `ArrayBuffer` at a bit level
+ * A low-level interface for reading and writing data to an `ArrayBuffer` at a
+ * bit level
  */
 export default class BitView {
 
@@ -9,7 +10,7 @@ export default class BitView {
   #view;
 
   /**
-   * @param {ArrayBuffer} buffer The `ArrayBuffer` to read bits from
+   * @param {ArrayBuffer} buffer The `ArrayBuffer` to read and write bits
    */
   constructor(buffer) {
     this.#view = new DataView(buffer);
@@ -39,4 +40,28 @@ export default class BitView {
     }
   }
 
+  /**
+   * Writes a stream of bits to the buffer.
+   * 
+   * @param {Number} offset - Bit to start writing to
+   * @param {Number} length - Number of bits to write (1 - 32)
+   * @param {Number} value - The unsigned numerical value of the bits
+   * @throws {RangeError} if the number of bits is invalid or out of range. 
+   */
+  setBits(offset, length, value) {
+    if (length < 1 || length > 32) {
+      throw new RangeError();
+    }
+    for (let bit = 0; bit < length; bit++) {
+      const byteOffset = (offset + bit) >> 3;
+      const mask = 0x80 >> ((offset + bit) % 8);
+      const byte = this.#view.getUint8(byteOffset);
+      if ((value >>> (length - bit - 1)) & 1) {
+        this.#view.setUint8(byteOffset, byte | mask);
+      } else {
+        this.#view.setUint8(byteOffset, byte & ~mask);
+      }
+    }
+  }
+
 }
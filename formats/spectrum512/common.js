@@ -1,4 +1,4 @@
-import { readAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
+import { readAtariStIndexedPalette, writeAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
 import { COLORS_PER_SCANLINE, IMAGE_HEIGHT } from './consts.js';
 
 /**
@@ -44,3 +44,20 @@ export const createPaletteArray = (buffer, offset = 0) => {
   }
   return palettes;
 };
+
+
+/**
+ * Writes an array of scanline palettes to a buffer of RGB values. This is the
+ * inverse of `createPaletteArray`.
+ * 
+ * @param {ArrayBuffer} buffer Buffer to write the palette entries to
+ * @param {Array<IndexedPalette>} palettes The color palettes of each line of the image
+ * @param {number} [offset=0] Optional offset to the first byte of palette data
+ */
+export const writePaletteArray = (buffer, palettes, offset = 0) => {
+  for (let c = 0; c < IMAGE_HEIGHT; c++) {
+    const paletteBuffer = new Uint8Array(buffer, offset, COLORS_PER_SCANLINE * 2);
+    writeAtariStIndexedPalette(paletteBuffer, palettes[c]);
+    offset += COLORS_PER_SCANLINE * 2;
+  }
+};
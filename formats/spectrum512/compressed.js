@@ -1,10 +1,12 @@
 import BitplaneReader from '../../lib/BitplaneReader.js';
+import BitplaneWriter from '../../lib/BitplaneWriter.js';
 import PlanarCoderError from '../../lib/PlanarCoderError.js';
 import ImageDataIndexedPaletteWriter from '../../lib/ImageDataIndexedPaletteWriter.js';
 
 import { 
   createPaletteArray,
-  getPaletteColorOffset
+  getPaletteColorOffset,
+  writePaletteArray
 } from './common.js';
 
 import {
@@ -13,6 +15,7 @@ import {
   ERROR_MESSAGE_INVALID_FILE_FORMAT,
   IMAGE_HEIGHT,
   IMAGE_WIDTH,
+  PALETTES_PER_SCANLINE,
   SPECTRUM_FILE_HEADER
 } from './consts.js';
 
@@ -91,6 +94,136 @@ export const decompressImage = (buffer, byteOffset, byteLength) => {
 };
 
 
+/**
+ * Compresses the palette. This is the inverse of `decompressPalette`.
+ * 
+ * Black colors are omitted from the color data and flagged with a `0` in the
+ * 16 bit mask that precedes each 16 color palette.
+ * 
+ * @param {ArrayBuffer} buffer - The `ArrayBuffer` containing the uncompressed palette data
+ * @returns {Uint8Array} - A `Uint8Array` containing the compressed palette data
+ */
+export const compressPalette = (buffer) => {
+  const srcView = new DataView(buffer);
+  const outBuffer = new Uint8Array(COLORS_PER_SCANLINE * IMAGE_HEIGHT * 2 + PALETTES_PER_SCANLINE * IMAGE_HEIGHT * 2);
+  const outView = new DataView(outBuffer.buffer);
+
+  let outPos = 0;
+  let srcPos = 0;
+  while (srcPos < srcView.byteLength) {
+    const maskPos = outPos;
+    let paletteMask = 0;
+    outPos += 2;
+    for (let c = 0; c < 16; c++) {
+      const color = srcView.getUint16(srcPos);
+      srcPos += 2;
+      if (color) {
+        paletteMask |= 1 << c;
+        outView.setUint16(outPos, color);
+        outPos += 2;
+      }
+    }
+    outView.setUint16(maskPos, paletteMask);
+  }
+
+  return outBuffer.slice(0, outPos);
+};
+
+
+/**
+ * Compresses bitmap data using the SPC run-length encoding method. This is the
+ * inverse of `decompressImage`. Each bitplane is compressed independently.
+ * 
+ * Data is stored as a signed header byte followed by data bytes. If the header
+ * is negative, the next byte is repeated `-header + 2` times (3 to 130). If the
+ * header is positive, the next `header + 1` bytes (1 to 128) are copied.
+ * 
+ * @param {Uint8Array} buffer - The contiguous bitplane data to compress
+ * @returns {Uint8Array} - A `Uint8Array` containing the compressed data
+ */
+export const compressImage = (buffer) => {
+  const bytesPerPlane = buffer.byteLength / 4;
+  const outBuffer = new Uint8Array(buffer.byteLength * 2);
+
+  let outPos = 0;
+
+  for (let planeStart = 0; planeStart < buffer.byteLength; planeStart += bytesPerPlane) {
+    const planeEnd = planeStart + bytesPerPlane;
+    let srcPos = planeStart;
+    let literalStart = srcPos;
+
+    const writeLiterals = (end) => {
+      while (literalStart < end) {
+        const count = Math.min(128, end - literalStart);
+        outBuffer[outPos++] = count - 1;
+        outBuffer.set(buffer.subarray(literalStart, literalStart + count), outPos);
+        outPos += count;
+        literalStart += count;
+      }
+    };
+
+    while (srcPos < planeEnd) {
+      const data = buffer[srcPos];
+      let length = 1;
+      while (srcPos + length < planeEnd && length < 130 && buffer[srcPos + length] === data) {
+        length++;
+      }
+      if (length >= 3) {
+        writeLiterals(srcPos);
+        outBuffer[outPos++] = -(length - 2) & 0xff;
+        outBuffer[outPos++] = data;
+        srcPos += length;
+        literalStart = srcPos;
+      } else {
+        srcPos += length;
+      }
+    }
+    writeLiterals(planeEnd);
+  }
+
+  return outBuffer.slice(0, outPos);
+};
+
+
+/**
+ * Creates a compressed Spectrum 512 image from word-interleaved bitplane data
+ * and scanline palettes.
+ * 
+ * @param {Uint8Array} bitplaneData - The 199 lines of word-interleaved bitplane data
+ * @param {Array<IndexedPalette>} palettes - The 48 color palette for each line of the image
+ * @returns {ArrayBuffer} The encoded image
+ */
+export const encode = (bitplaneData, palettes) => {
+
+  // SPC images store their bitmap as contiguous bitplanes
+  const contiguousData = new Uint8Array(bitplaneData.byteLength);
+  const reader = BitplaneReader.word(bitplaneData, 4);
+  const writer = BitplaneWriter.contiguous(contiguousData, 4, IMAGE_WIDTH, IMAGE_HEIGHT);
+  for (let c = 0; c < IMAGE_WIDTH * IMAGE_HEIGHT; c++) {
+    writer.write(reader.read());
+  }
+
+  const paletteData = new ArrayBuffer(COLORS_PER_SCANLINE * IMAGE_HEIGHT * 2);
+  writePaletteArray(paletteData, palettes);
+
+  const compressedImageData = compressImage(contiguousData);
+  const compressedPaletteData = compressPalette(paletteData);
+
+  // The bitmap length is padded to keep the palette data word aligned
+  const bitmapLength = compressedImageData.byteLength + (compressedImageData.byteLength % 2);
+  const buffer = new ArrayBuffer(12 + bitmapLength + compressedPaletteData.byteLength);
+  const bufferView = new DataView(buffer);
+
+  bufferView.setUint32(0, SPECTRUM_FILE_HEADER);
+  bufferView.setUint32(4, bitmapLength);
+  bufferView.setUint32(8, compressedPaletteData.byteLength);
+  new Uint8Array(buffer, 12).set(compressedImageData);
+  new Uint8Array(buffer, 12 + bitmapLength).set(compressedPaletteData);
+
+  return buffer;
+};
+
+
 /**
  * Decodes a compressed Spectrum 512 image and returns a ImageData object
  * containing the converted data. Colors are converted from 12bit RGB to 32bit 
@@ -36,4 +36,5 @@ export default (buffer) => {
       }
     }
   }
+  throw new PlanarCoderError(ERROR_MESSAGE_INVALID_FILE_FORMAT);
 };
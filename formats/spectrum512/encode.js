@@ -0,0 +1,49 @@
+import { quantizeImage } from './quantize.js';
+import { encode as encodeUncompressed } from './uncompressed.js';
+import { encode as encodeCompressed } from './compressed.js';
+import { encode as encodeSmooshed } from './smooshed.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
+import {
+  COMPRESSION_METHOD_NONE,
+  COMPRESSION_METHOD_COMPRESSED,
+  COMPRESSION_METHOD_SMOOSHED,
+  COMPRESSION_METHOD_SMOOSHED_VERTICAL
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').Spectrum512EncodingOptions} Spectrum512EncodingOptions
+ */
+
+/**
+ * Encodes a `ImageData` object into a Spectrum 512 image. Colors for each 
+ * scanline are chosen automatically using `quantizeImage`. If you need to know
+ * how closely the image matches the source, call `quantizeImage` directly.
+ * 
+ * @param {ImageData} imageData - The image data to encode. Must be 320 x 199 pixels
+ * @param {Spectrum512EncodingOptions} options - The encoding options
+ * @returns {ArrayBuffer} The encoded Spectrum 512 image bytes
+ * @throws {PlanarCoderError} If the image can't be encoded
+ */
+export default (imageData, options = {}) => {
+  const { compression = COMPRESSION_METHOD_NONE } = options;
+
+  // Smooshed images can only store 9 bit colors and always use black for 
+  // colors 0 and 15. The bitmap layout is chosen automatically.
+  if (compression === COMPRESSION_METHOD_SMOOSHED || compression === COMPRESSION_METHOD_SMOOSHED_VERTICAL) {
+    if (options.bitsPerChannel && options.bitsPerChannel !== 3) {
+      throw new PlanarCoderError('Smooshed images must be 3 bits per channel');
+    }
+    const { palettes, bitplaneData } = quantizeImage(imageData, { ...options, reserveBlack: true });
+    return encodeSmooshed(bitplaneData, palettes);
+  }
+
+  const { palettes, bitplaneData } = quantizeImage(imageData, options);
+
+  if (compression === COMPRESSION_METHOD_NONE) {
+    return encodeUncompressed(bitplaneData, palettes);
+  } else if (compression === COMPRESSION_METHOD_COMPRESSED) {
+    return encodeCompressed(bitplaneData, palettes);
+  }
+
+  throw new PlanarCoderError('Unsupported compression method');
+};
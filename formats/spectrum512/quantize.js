@@ -0,0 +1,284 @@
+import IndexedPalette from '../../lib/IndexedPalette.js';
+import BitplaneWriter from '../../lib/BitplaneWriter.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
+import { getPaletteColorOffset } from './common.js';
+
+import {
+  COLORS_PER_SCANLINE,
+  IMAGE_HEIGHT,
+  IMAGE_WIDTH
+} from './consts.js';
+
+/**
+ * @typedef {import('./types.js').Spectrum512QuantizeOptions} Spectrum512QuantizeOptions
+ * @typedef {import('./types.js').Spectrum512QuantizedImage} Spectrum512QuantizedImage
+ */
+
+/** Number of refinement passes made over each scanline palette */
+const REFINEMENT_PASSES = 4;
+
+/**
+ * For every x position, the palette slot each of the 16 color indexes maps to.
+ * @type {Uint8Array}
+ */
+const slotMap = new Uint8Array(IMAGE_WIDTH * 16);
+
+/**
+ * The first and last x position at which each palette slot is visible.
+ * @type {Array<[number, number]>}
+ */
+const slotWindows = [];
+
+for (let x = 0; x < IMAGE_WIDTH; x++) {
+  for (let c = 0; c < 16; c++) {
+    const slot = getPaletteColorOffset(x, 0, c);
+    slotMap[x * 16 + c] = slot;
+    if (!slotWindows[slot]) {
+      slotWindows[slot] = [x, x];
+    }
+    slotWindows[slot][1] = x;
+  }
+}
+
+/** 
+ * Palette slots that hold color 0 or 15 of one of the three palettes. These 
+ * are kept black if `reserveBlack` is set.
+ * @type {Uint8Array}
+ */
+const blackSlots = new Uint8Array(COLORS_PER_SCANLINE).map((_, slot) => {
+  return slot % 16 === 0 || slot % 16 === 15 ? 1 : 0;
+});
+
+/** Palette slots, ordered by the position they first become visible */
+const slotOrder = [...slotWindows.keys()].sort((a, b) => slotWindows[a][0] - slotWindows[b][0]);
+
+
+/**
+ * Calculates the squared distance between two RGB colors
+ *
+ * @param {ArrayLike<number>} a The first color array
+ * @param {number} aPos Offset of the first color
+ * @param {ArrayLike<number>} b The second color array
+ * @param {number} bPos Offset of the second color
+ * @returns {number} The squared distance
+ */
+const distance = (a, aPos, b, bPos) => {
+  const r = a[aPos] - b[bPos];
+  const g = a[aPos + 1] - b[bPos + 1];
+  const bl = a[aPos + 2] - b[bPos + 2];
+  return r * r + g * g + bl * bl;
+};
+
+
+/**
+ * Chooses the 48 colors for a single scanline.
+ *
+ * Slots are seeded in the order they become visible, each one taking the color
+ * that is most poorly represented by the slots visible alongside it. The
+ * palette is then refined by repeatedly mapping each pixel to its nearest
+ * visible slot and moving each slot to the average color of its pixels.
+ *
+ * @param {Float32Array} pixels The RGB values of the scanline
+ * @param {(value: number) => number} quantizeChannel Function to convert an 8 bit value to the target gamut
+ * @param {boolean} reserveBlack Should colors 0 and 15 of each palette be kept black
+ * @returns {Float32Array} The RGB values of the 48 palette slots
+ */
+const fitScanline = (pixels, quantizeChannel, reserveBlack) => {
+  const slots = new Float32Array(COLORS_PER_SCANLINE * 3);
+  const assigned = new Uint8Array(COLORS_PER_SCANLINE);
+  const fixed = reserveBlack ? blackSlots : new Uint8Array(COLORS_PER_SCANLINE);
+
+  // Reserved slots are already black, so we just mark them as assigned
+  assigned.set(fixed);
+
+  // Seed the palette
+  for (const slot of slotOrder) {
+    if (fixed[slot]) {
+      continue;
+    }
+    const [start, end] = slotWindows[slot];
+    const scores = new Map();
+    let bestKey;
+    let bestScore = -1;
+
+    for (let x = start; x <= end; x++) {
+      let nearest = Infinity;
+      for (let c = 0; c < 16; c++) {
+        const visibleSlot = slotMap[x * 16 + c];
+        if (assigned[visibleSlot]) {
+          nearest = Math.min(nearest, distance(pixels, x * 3, slots, visibleSlot * 3));
+        }
+      }
+      if (nearest === Infinity) {
+        nearest = 0x40000;
+      }
+      const r = quantizeChannel(pixels[x * 3]);
+      const g = quantizeChannel(pixels[x * 3 + 1]);
+      const b = quantizeChannel(pixels[x * 3 + 2]);
+      const key = (r << 16) | (g << 8) | b;
+      const score = (scores.get(key) || 0) + nearest;
+      scores.set(key, score);
+      if (score > bestScore) {
+        bestScore = score;
+        bestKey = key;
+      }
+    }
+
+    slots[slot * 3] = bestKey >> 16;
+    slots[slot * 3 + 1] = (bestKey >> 8) & 0xff;
+    slots[slot * 3 + 2] = bestKey & 0xff;
+    assigned[slot] = 1;
+  }
+
+  // Refine the palette
+  const sums = new Float32Array(COLORS_PER_SCANLINE * 3);
+  const counts = new Uint16Array(COLORS_PER_SCANLINE);
+
+  for (let pass = 0; pass < REFINEMENT_PASSES; pass++) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let x = 0; x < IMAGE_WIDTH; x++) {
+      const slot = slotMap[x * 16 + findNearestIndex(pixels, x * 3, slots, x)];
+      sums[slot * 3] += pixels[x * 3];
+      sums[slot * 3 + 1] += pixels[x * 3 + 1];
+      sums[slot * 3 + 2] += pixels[x * 3 + 2];
+      counts[slot]++;
+    }
+    for (let slot = 0; slot < COLORS_PER_SCANLINE; slot++) {
+      if (counts[slot] && !fixed[slot]) {
+        slots[slot * 3] = quantizeChannel(sums[slot * 3] / counts[slot]);
+        slots[slot * 3 + 1] = quantizeChannel(sums[slot * 3 + 1] / counts[slot]);
+        slots[slot * 3 + 2] = quantizeChannel(sums[slot * 3 + 2] / counts[slot]);
+      }
+    }
+  }
+
+  return slots;
+};
+
+
+/**
+ * Finds the color index (0 - 15) whose palette slot is nearest to a color at
+ * a given x position.
+ *
+ * @param {ArrayLike<number>} color The color array
+ * @param {number} colorPos Offset of the color
+ * @param {Float32Array} slots The RGB values of the 48 palette slots
+ * @param {number} x The x position of the pixel
+ * @returns {number} The color index
+ */
+const findNearestIndex = (color, colorPos, slots, x) => {
+  let nearest = Infinity;
+  let index = 0;
+  for (let c = 0; c < 16; c++) {
+    const dist = distance(color, colorPos, slots, slotMap[x * 16 + c] * 3);
+    if (dist < nearest) {
+      nearest = dist;
+      index = c;
+    }
+  }
+  return index;
+};
+
+
+/**
+ * Converts arbitrary `ImageData` into Spectrum 512 bitplane data and scanline
+ * palettes. Each scanline is given 48 colors, chosen so that each of the 16
+ * color indexes is mapped to the best palette slot for the horizontal zone of
+ * the scanline it appears in.
+ *
+ * @param {ImageData} imageData The image to convert. Must be 320 x 199 pixels
+ * @param {Spectrum512QuantizeOptions} options Quantization options
+ * @returns {Spectrum512QuantizedImage} The scanline palettes, bitplane data and color error for each line
+ * @throws {PlanarCoderError} If the image dimensions are invalid
+ */
+export const quantizeImage = (imageData, options = {}) => {
+  const {
+    bitsPerChannel = 3,
+    dither = false,
+    reserveBlack = false
+  } = options;
+
+  const { width, height, data } = imageData;
+
+  if (width !== IMAGE_WIDTH || height !== IMAGE_HEIGHT) {
+    throw new PlanarCoderError(`Spectrum 512 images must be ${IMAGE_WIDTH}x${IMAGE_HEIGHT}`);
+  }
+
+  if (bitsPerChannel !== 3 && bitsPerChannel !== 4) {
+    throw new PlanarCoderError('Spectrum 512 palettes must be either 3 or 4 bit per channel');
+  }
+
+  // Colors are fitted using 8 bit values which are snapped to the nearest
+  // value that can be represented in the target gamut.
+  const maxChannelValue = (1 << bitsPerChannel) - 1;
+  const toLevel = (value) => Math.round(Math.max(0, Math.min(255, value)) / 255 * maxChannelValue);
+  const fromLevel = (level) => Math.trunc(level / maxChannelValue * 255);
+  const quantizeChannel = (value) => fromLevel(toLevel(value));
+
+  const bitplaneData = new Uint8Array(IMAGE_HEIGHT * 160);
+  const writer = BitplaneWriter.word(bitplaneData, 4);
+  const palettes = [];
+  const errors = [];
+
+  // The scanline being processed, and the error diffused into the next one
+  const pixels = new Float32Array(IMAGE_WIDTH * 3);
+  const nextPixels = new Float32Array(IMAGE_WIDTH * 3);
+
+  for (let y = 0; y < IMAGE_HEIGHT; y++) {
+    for (let x = 0; x < IMAGE_WIDTH; x++) {
+      const pos = (y * IMAGE_WIDTH + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        pixels[x * 3 + channel] = Math.max(0, Math.min(255, data[pos + channel] + nextPixels[x * 3 + channel]));
+      }
+    }
+    nextPixels.fill(0);
+
+    const slots = fitScanline(pixels, quantizeChannel, reserveBlack);
+    let error = 0;
+
+    for (let x = 0; x < IMAGE_WIDTH; x++) {
+      const index = findNearestIndex(pixels, x * 3, slots, x);
+      const slot = slotMap[x * 16 + index] * 3;
+      writer.write(index);
+
+      // Measure the error against the source image rather than the dithered
+      // pixel so the reported error reflects what will be displayed.
+      error += distance(data, (y * IMAGE_WIDTH + x) * 4, slots, slot);
+
+      // Floyd-Steinberg error diffusion
+      if (dither) {
+        for (let channel = 0; channel < 3; channel++) {
+          const diff = pixels[x * 3 + channel] - slots[slot + channel];
+          if (x < IMAGE_WIDTH - 1) {
+            pixels[(x + 1) * 3 + channel] += diff * 7 / 16;
+            nextPixels[(x + 1) * 3 + channel] += diff / 16;
+          }
+          if (x > 0) {
+            nextPixels[(x - 1) * 3 + channel] += diff * 3 / 16;
+          }
+          nextPixels[x * 3 + channel] += diff * 5 / 16;
+        }
+      }
+    }
+
+    const palette = new IndexedPalette(COLORS_PER_SCANLINE, { bitsPerChannel });
+    for (let slot = 0; slot < COLORS_PER_SCANLINE; slot++) {
+      palette.setColor(
+        slot,
+        toLevel(slots[slot * 3]),
+        toLevel(slots[slot * 3 + 1]),
+        toLevel(slots[slot * 3 + 2])
+      );
+    }
+
+    palettes.push(palette);
+    errors.push(error / IMAGE_WIDTH);
+  }
+
+  return {
+    palettes,
+    bitplaneData,
+    errors
+  };
+};
@@ -1,11 +1,13 @@
 import BitView from './BitView.js';
 import ImageDataIndexedPaletteWriter from '../../lib/ImageDataIndexedPaletteWriter.js';
 import BitplaneReader from '../../lib/BitplaneReader.js';
+import BitplaneWriter from '../../lib/BitplaneWriter.js';
 import PlanarCoderError from '../../lib/PlanarCoderError.js';
 
 import {
   createPaletteArray,
-  getPaletteColorOffset
+  getPaletteColorOffset,
+  writePaletteArray
 } from './common.js';
 
 import { 
@@ -104,6 +106,165 @@ export const decompressImage = (buffer) => {
 };
 
 
+/**
+ * Compresses the palette. This is the inverse of `decompressPalette`.
+ * 
+ * Colors 0 and 15 of each palette must be black and colors must be 3 bits per
+ * channel. Black colors are omitted from the color data and flagged with a `0`
+ * in the 14 bit mask that precedes each palette.
+ * 
+ * @param {ArrayBuffer} buffer - The `ArrayBuffer` containing the uncompressed palette data
+ * @returns {Uint8Array} A `Uint8Array` containing the compressed data
+ * @throws {PlanarCoderError} If the palette can't be stored in a smooshed image
+ */
+export const compressPalette = (buffer) => {
+  const srcView = new DataView(buffer);
+  const paletteCount = PALETTES_PER_SCANLINE * IMAGE_HEIGHT;
+
+  // Worst case size: every palette has 14 colors. Pad the buffer so the bits
+  // can be read back with `BitView`, which reads up to 4 bytes at a time.
+  const outBuffer = new ArrayBuffer(Math.ceil(paletteCount * (14 + 14 * 9) / 8) + 4);
+  const destView = new BitView(outBuffer);
+
+  let srcPos = 0;
+  let outPos = 0;
+
+  for (let paletteNo = 0; paletteNo < paletteCount; paletteNo++) {
+    const colors = [];
+    let header = 0;
+
+    for (let colorNo = 0; colorNo < 16; colorNo++) {
+      const color = srcView.getUint16(srcPos);
+      srcPos += 2;
+      if (color & 0xf888) {
+        throw new PlanarCoderError('Smooshed palettes must be 3 bits per channel');
+      }
+      if (colorNo === 0 || colorNo === 15) {
+        if (color) {
+          throw new PlanarCoderError('Smooshed palettes must use black for colors 0 and 15');
+        }
+      } else {
+        header <<= 1;
+        if (color) {
+          header |= 1;
+          colors.push(((color >> 8) & 7) << 6 | ((color >> 4) & 7) << 3 | (color & 7));
+        }
+      }
+    }
+
+    destView.setBits(outPos, 14, header);
+    outPos += 14;
+    for (const color of colors) {
+      destView.setBits(outPos, 9, color);
+      outPos += 9;
+    }
+  }
+
+  return new Uint8Array(outBuffer, 0, Math.ceil(outPos / 8) + 3);
+};
+
+
+/**
+ * Compresses bitmap data using the smooshed run-length encoding method. This
+ * is the inverse of `decompressImage`.
+ * 
+ * Data is stored as an unsigned header byte followed by data bytes. If the 
+ * header is 127 or less, the next byte is repeated `header + 3` times (3 to 
+ * 130). Otherwise, the next `header - 127` bytes (1 to 128) are copied.
+ * 
+ * @param {Uint8Array} buffer - The bitplane data to compress
+ * @returns {Uint8Array} A `Uint8Array` containing the compressed data
+ */
+export const compressImage = (buffer) => {
+  const outBuffer = new Uint8Array(buffer.byteLength * 2);
+
+  let outPos = 0;
+  let srcPos = 0;
+  let literalStart = 0;
+
+  const writeLiterals = (end) => {
+    while (literalStart < end) {
+      const count = Math.min(128, end - literalStart);
+      outBuffer[outPos++] = count + 127;
+      outBuffer.set(buffer.subarray(literalStart, literalStart + count), outPos);
+      outPos += count;
+      literalStart += count;
+    }
+  };
+
+  while (srcPos < buffer.byteLength) {
+    const data = buffer[srcPos];
+    let length = 1;
+    while (srcPos + length < buffer.byteLength && length < 130 && buffer[srcPos + length] === data) {
+      length++;
+    }
+    if (length >= 3) {
+      writeLiterals(srcPos);
+      outBuffer[outPos++] = length - 3;
+      outBuffer[outPos++] = data;
+      srcPos += length;
+      literalStart = srcPos;
+    } else {
+      srcPos += length;
+    }
+  }
+  writeLiterals(buffer.byteLength);
+
+  return outBuffer.slice(0, outPos);
+};
+
+
+/**
+ * Creates a "smooshed" Spectrum 512 image from word-interleaved bitplane data
+ * and scanline palettes. The bitmap is compressed as both contiguous bitplanes
+ * and vertical strips, and the smallest is used.
+ * 
+ * @param {Uint8Array} bitplaneData - The 199 lines of word-interleaved bitplane data
+ * @param {Array<IndexedPalette>} palettes - The 48 color palette for each line of the image
+ * @returns {ArrayBuffer} The encoded image
+ * @throws {PlanarCoderError} If the palettes can't be stored in a smooshed image
+ */
+export const encode = (bitplaneData, palettes) => {
+  const contiguousData = new Uint8Array(bitplaneData.byteLength);
+  const verticalData = new Uint8Array(bitplaneData.byteLength);
+  const reader = BitplaneReader.word(bitplaneData, 4);
+  const contiguousWriter = BitplaneWriter.contiguous(contiguousData, 4, IMAGE_WIDTH, IMAGE_HEIGHT);
+  const verticalWriter = new BitplaneWriter(verticalData, 1, IMAGE_HEIGHT, 40, 1, 4, IMAGE_HEIGHT * 40);
+
+  for (let c = 0; c < IMAGE_WIDTH * IMAGE_HEIGHT; c++) {
+    const color = reader.read();
+    contiguousWriter.write(color);
+    verticalWriter.write(color);
+  }
+
+  const compressedContiguousData = compressImage(contiguousData);
+  const compressedVerticalData = compressImage(verticalData);
+  const contiguous = compressedContiguousData.byteLength <= compressedVerticalData.byteLength;
+  const compressedImageData = contiguous ? compressedContiguousData : compressedVerticalData;
+
+  const paletteData = new ArrayBuffer(COLORS_PER_SCANLINE * IMAGE_HEIGHT * 2);
+  writePaletteArray(paletteData, palettes);
+  const compressedPaletteData = compressPalette(paletteData);
+
+  const bitmapLength = compressedImageData.byteLength;
+  const paletteLength = compressedPaletteData.byteLength;
+  const buffer = new ArrayBuffer(12 + bitmapLength + paletteLength);
+  const bufferView = new DataView(buffer);
+
+  bufferView.setUint32(0, SPECTRUM_FILE_HEADER);
+  bufferView.setUint32(4, bitmapLength);
+  bufferView.setUint32(8, paletteLength);
+  new Uint8Array(buffer, 12).set(compressedImageData);
+  new Uint8Array(buffer, 12 + bitmapLength).set(compressedPaletteData);
+
+  // The last byte of the file indicates how the bitmap is stored. The palette
+  // data is padded, so this doesn't overwrite any colors.
+  bufferView.setUint8(buffer.byteLength - 1, contiguous ? 1 : 0);
+
+  return buffer;
+};
+
+
 /**
  * Decodes a "smooshed" Spectrum 512 image and returns a ImageData object
  * containing the converted data. Colors are converted from 12bit RGB to 32bit 
@@ -9,5 +9,27 @@
  * @property {ImageData} imageData - The ImageData object containing the image
  * @property {Spectrum512ImageMetadata} meta - The image metadata
  */
+/**
+ * @typedef Spectrum512QuantizeOptions
+ * @property {number} [bitsPerChannel=3] Bits per color channel. `3` for the ST (512 colors) or `4` for the STE (4096 colors)
+ * @property {boolean} [dither=false] Should Floyd-Steinberg dithering be applied
+ * @property {boolean} [reserveBlack=false] Should colors 0 and 15 of each palette be kept black. Smooshed images require this
+ */
+
+/**
+ * @typedef Spectrum512QuantizedImage
+ * @property {Array<IndexedPalette>} palettes The 48 color palette for each line of the image
+ * @property {Uint8Array} bitplaneData The 199 lines of word-interleaved bitplane data
+ * @property {Array<number>} errors The mean squared color error of each line of the image
+ */
+
+/**
+ * @typedef Spectrum512ImageEncodingProperties
+ * @property {number} [compression] The compression method to use
+ */
+
+/**
+ * @typedef {Spectrum512QuantizeOptions & Spectrum512ImageEncodingProperties} Spectrum512EncodingOptions
+ */
 
 export default null;
@@ -4,7 +4,8 @@ import BitplaneReader from '../../lib/BitplaneReader.js';
 
 import {
   createPaletteArray,
-  getPaletteColorOffset
+  getPaletteColorOffset,
+  writePaletteArray
 } from './common.js';
 
 import {
@@ -20,6 +21,24 @@ import {
  */
 
 
+/**
+ * Creates an uncompressed Spectrum 512 image from word-interleaved bitplane
+ * data and scanline palettes.
+ * 
+ * @param {Uint8Array} bitplaneData - The 199 lines of word-interleaved bitplane data
+ * @param {Array<IndexedPalette>} palettes - The 48 color palette for each line of the image
+ * @returns {ArrayBuffer} The encoded image
+ */
+export const encode = (bitplaneData, palettes) => {
+  const buffer = new ArrayBuffer(SPECTRUM_UNCOMPRESSED_FILE_SIZE);
+
+  // The first scanline is never displayed, so it's left blank
+  new Uint8Array(buffer, 160, 32000 - 160).set(bitplaneData);
+  writePaletteArray(buffer, palettes, 32000);
+  return buffer;
+};
+
+
 /**
  * Decodes an uncompressed Spectrum 512 image and returns a ImageData object
  * containing the converted data. Colors are converted from 12bit RGB to 32bit
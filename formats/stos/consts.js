@@ -10,3 +10,14 @@ export const MBK_TYPE_DATA = 0x81;
 /** Magic number to indicate the STOS data bank is a packed screen */
 export const MBK_DATA_TYPE_COMPRESSED_SCREEN = 0x06071963;
 
+/** Number of bytes in a scanline for each resolution (low, medium and high) */
+export const BYTES_PER_LINE = [160, 160, 80];
+
+/** Number of bytes between words of the same bitplane for each resolution */
+export const BYTES_PER_PLANE = [8, 4, 2];
+
+/** Number of bitplanes for each resolution */
+export const PLANES = [4, 2, 1];
+
+/** Number of scanlines for each resolution */
+export const LINES = [200, 200, 400];
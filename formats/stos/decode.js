@@ -6,14 +6,13 @@ import {
   MBK_DATA_TYPE_COMPRESSED_SCREEN,
   MBK_FILE_HEADER_ID,
   MBK_TYPE_DATA,
-  MBK_FILE_HEADER_LENGTH
+  MBK_FILE_HEADER_LENGTH,
+  BYTES_PER_LINE,
+  BYTES_PER_PLANE,
+  PLANES,
+  LINES
 } from './consts.js';
 
-const BYTES_PER_LINE = [160, 160, 80];
-const BYTES_PER_PLANE = [8, 4, 2];
-const PLANES = [4, 2, 1];
-const LINES = [200, 200, 400];
-
 /**
  * Called to terminate decoding in the event of an error.
  * @throws {Error}
@@ -71,7 +70,7 @@ export default (buffer) => {
   const planes = PLANES[res];
   const height = LINES[res];
   const blockLength = blockSize * lineLength;
-  const width = (lineLength >> planes) * 32;
+  const width = lineLength * 8 / planes;
 
   let literal = 0x58;
   let mask0 = 0x80;
@@ -142,12 +141,13 @@ export default (buffer) => {
     }
   }
 
-  const imageData = decode(decompressedBytes, width, height, palette, { format: ENCODING_FORMAT_WORD });
+  const imageData = decode(decompressedBytes, width, height, palette, { format: ENCODING_FORMAT_WORD, planes });
 
   return {
     imageData,
     meta: {
-      palette
+      palette,
+      resolution: res
     }
   };
 };
@@ -0,0 +1,207 @@
+import { ENCODING_FORMAT_WORD } from '../../consts.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
+import { writeAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
+import { encode } from '../../encode.js';
+import {
+  MBK_DATA_TYPE_COMPRESSED_SCREEN,
+  MBK_FILE_HEADER_ID,
+  MBK_TYPE_DATA,
+  MBK_FILE_HEADER_LENGTH,
+  BYTES_PER_LINE,
+  BYTES_PER_PLANE,
+  PLANES,
+  LINES
+} from './consts.js';
+
+/**
+ * @typedef {import('../../lib/IndexedPalette.js').default} IndexedPalette
+ */
+
+/**
+ * @typedef StosImageEncodingOptions
+ * @property {number} [bank=1] The STOS memory bank number to store in the file
+ */
+
+/**
+ * @typedef StosPackedScreen
+ * @property {number} blockSize Number of lines in a Y block
+ * @property {Uint8Array} literals The literal byte stream
+ * @property {Uint8Array} commands0 The first level command stream. Each bit indicates if a new literal is read
+ * @property {Uint8Array} commands1 The second level command stream. Each bit indicates if a new first level command is read
+ */
+
+/** Length, in bytes, of the packed screen header (including the palette) */
+const PACKED_SCREEN_HEADER_LENGTH = 70;
+
+
+/**
+ * Packs screen data using a specific block height.
+ *
+ * The screen is read one bitplane at a time, in blocks of `blockSize` lines.
+ * Each block is read in vertical strips, one byte wide. Every byte is compared
+ * to the previous one and a bit is set in the first level command stream if it
+ * differs, in which case the byte is added to the literal stream.
+ *
+ * The first level command stream is then packed in the same way. A bit is set
+ * in the second level command stream if a command differs from the previous
+ * one, in which case the command is added to the first level stream.
+ *
+ * @param {Uint8Array} bitplaneData The word interleaved screen data
+ * @param {number} res The screen resolution
+ * @param {number} blockSize Number of lines in a Y block
+ * @returns {StosPackedScreen} The packed data
+ */
+const packScreen = (bitplaneData, res, blockSize) => {
+  const lineLength = BYTES_PER_LINE[res];
+  const planeLength = BYTES_PER_PLANE[res];
+  const planes = PLANES[res];
+  const blocks = LINES[res] / blockSize;
+  const blockLength = blockSize * lineLength;
+  const wordsPerPlane = lineLength / planeLength;
+
+  const literals = [];
+  const patterns = [];
+  let previousByte;
+  let pattern = 0;
+  let mask = 0x80;
+
+  for (let plane = 0; plane < planes; plane++) {
+    for (let block = 0; block < blocks; block++) {
+      for (let word = 0; word < wordsPerPlane; word++) {
+        for (let byte = 0; byte < 2; byte++) {
+          let offset = plane * 2 + block * blockLength + word * planeLength + byte;
+          for (let l = 0; l < blockSize; l++) {
+            const value = bitplaneData[offset];
+
+            // The first byte is always read as a literal, so it never needs a
+            // command bit.
+            if (previousByte === undefined) {
+              literals.push(value);
+            } else if (value !== previousByte) {
+              literals.push(value);
+              pattern |= mask;
+            }
+            previousByte = value;
+            offset += lineLength;
+            mask >>= 1;
+            if (mask === 0) {
+              patterns.push(pattern);
+              pattern = 0;
+              mask = 0x80;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // The first command is always read, so it never needs a command bit. The
+  // decoder reads one command bit beyond the end of the data, so we ensure
+  // there's a zero byte for it.
+  const commands0 = [patterns[0]];
+  const commands1 = new Uint8Array((patterns.length >> 3) + 1);
+
+  for (let c = 1; c < patterns.length; c++) {
+    if (patterns[c] !== patterns[c - 1]) {
+      commands0.push(patterns[c]);
+      commands1[c >> 3] |= 0x80 >> (c & 7);
+    }
+  }
+
+  return {
+    blockSize,
+    literals: new Uint8Array(literals),
+    commands0: new Uint8Array(commands0),
+    commands1
+  };
+};
+
+
+/**
+ * Encodes a `ImageData` object into a STOS Basic memory bank containing a
+ * packed screen. The resolution is determined by the dimensions of the image
+ * and the block height that produces the smallest output is used.
+ *
+ * @param {ImageData} imageData - The image data to encode
+ * @param {IndexedPalette} palette - The color palette to use
+ * @param {StosImageEncodingOptions} options - The encoding options
+ * @returns {ArrayBuffer} The encoded memory bank
+ * @throws {PlanarCoderError} If the image dimensions or palette are invalid
+ */
+export default (imageData, palette, options = {}) => {
+  const { bank = 1 } = options;
+  const { height, width } = imageData;
+  let res;
+
+  if (width === 320 && height === 200) {
+    res = 0;
+  } else if (width === 640 && height === 200) {
+    res = 1;
+  } else if (width === 640 && height === 400) {
+    res = 2;
+  } else {
+    throw new PlanarCoderError('STOS packed screens must be 320x200, 640x200 or 640x400');
+  }
+
+  const planes = PLANES[res];
+
+  if (palette.length > 1 << planes) {
+    throw new PlanarCoderError('Too many colors');
+  }
+
+  const bitplaneData = encode(imageData, palette, { format: ENCODING_FORMAT_WORD, planes });
+
+  // Try every block height that divides the screen evenly and keep the
+  // smallest result.
+  let packed;
+  let packedLength = Infinity;
+  for (let blockSize = 1; blockSize <= height; blockSize++) {
+    if (height % blockSize === 0) {
+      const candidate = packScreen(bitplaneData, res, blockSize);
+      const candidateLength = candidate.literals.byteLength + candidate.commands0.byteLength + candidate.commands1.byteLength;
+      if (candidateLength < packedLength) {
+        packed = candidate;
+        packedLength = candidateLength;
+      }
+    }
+  }
+
+  const {
+    blockSize,
+    literals,
+    commands0,
+    commands1
+  } = packed;
+
+  // Keep the bank length even
+  const bankLength = PACKED_SCREEN_HEADER_LENGTH + packedLength + (packedLength % 2);
+  const buffer = new ArrayBuffer(MBK_FILE_HEADER_LENGTH + bankLength);
+  const dataView = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // Memory bank header
+  bytes.set(new TextEncoder().encode(MBK_FILE_HEADER_ID));
+  dataView.setUint32(0x0a, bank);
+  dataView.setUint32(0x0e, (MBK_TYPE_DATA << 24) | bankLength);
+
+  // Packed screen header. Offsets to the command streams are relative to the
+  // start of the bank.
+  const commands0Offset = PACKED_SCREEN_HEADER_LENGTH + literals.byteLength;
+  const commands1Offset = commands0Offset + commands0.byteLength;
+  dataView.setUint32(0x12, MBK_DATA_TYPE_COMPRESSED_SCREEN);
+  dataView.setUint16(0x16, res);                              // Resolution
+  dataView.setUint16(0x1c, BYTES_PER_LINE[res] / BYTES_PER_PLANE[res]);  // Number of words in a line
+  dataView.setUint16(0x1e, height / blockSize);               // Number of Y blocks
+  dataView.setUint16(0x22, blockSize);                        // Number of lines in a Y block
+  dataView.setUint32(0x26, commands0Offset);
+  dataView.setUint32(0x2a, commands1Offset);
+
+  writeAtariStIndexedPalette(new Uint8Array(buffer, 0x38, 32), palette);
+
+  // Packed data
+  bytes.set(literals, MBK_FILE_HEADER_LENGTH + PACKED_SCREEN_HEADER_LENGTH);
+  bytes.set(commands0, MBK_FILE_HEADER_LENGTH + commands0Offset);
+  bytes.set(commands1, MBK_FILE_HEADER_LENGTH + commands1Offset);
+
+  return buffer;
+};
@@ -0,0 +1,133 @@
+/*
+
+Tiny compresses the 16000 words of screen memory in vertical columns. Each
+word column (one plane of a 16 pixel block) is read from top to bottom before
+moving to the next column. The resulting stream of words is encoded as a set of
+control bytes and data words. See `decompress.js` for the control byte
+meanings.
+
+The encoder finds the smallest encoding by calculating the cheapest way of
+reaching every word in the stream from any earlier word.
+*/
+
+const WORD_COUNT = 16000;
+
+const MAX_COPY_LENGTH = 128;
+const MIN_LONG_COPY_LENGTH = 129;
+const MAX_SHORT_REPEAT_LENGTH = 127;
+const MAX_LONG_REPEAT_LENGTH = 32767;
+
+/**
+ * @typedef TinyCompressedData
+ * @property {Uint8Array} controlBytes The control bytes
+ * @property {Uint8Array} dataWords The data words
+ */
+
+/**
+ * Compresses 32000 bytes of word interleaved bitplane data using the Tiny
+ * Stuff compression method.
+ *
+ * @param {Uint8Array} bitplaneData The uncompressed bitplane data
+ * @returns {TinyCompressedData} The control bytes and data words
+ */
+export default (bitplaneData) => {
+  const srcView = new DataView(bitplaneData.buffer, bitplaneData.byteOffset, bitplaneData.byteLength);
+  const words = new Uint16Array(WORD_COUNT);
+
+  for (let count = 0; count < WORD_COUNT; count++) {
+    const offset = ((((count % 4000) / 200) | 0) * 4 + (count / 4000 | 0) + (80 * (count % 200)));
+    words[count] = srcView.getUint16(offset * 2);
+  }
+
+  // Calculate the length of the run of identical words that starts at each
+  // position in the stream.
+  const runs = new Uint16Array(WORD_COUNT);
+  runs[WORD_COUNT - 1] = 1;
+  for (let pos = WORD_COUNT - 2; pos >= 0; pos--) {
+    runs[pos] = words[pos] === words[pos + 1] ? Math.min(runs[pos + 1] + 1, MAX_LONG_REPEAT_LENGTH) : 1;
+  }
+
+  // For each position, store the smallest number of bytes needed to encode
+  // the stream up to that point, along with the command that got us there.
+  // Positive lengths are repeats, negative lengths are copies.
+  const costs = new Uint32Array(WORD_COUNT + 1).fill(0xffffffff);
+  const lengths = new Int16Array(WORD_COUNT + 1);
+  costs[0] = 0;
+
+  const step = (from, length, cost) => {
+    const to = from + Math.abs(length);
+    if (costs[from] + cost < costs[to]) {
+      costs[to] = costs[from] + cost;
+      lengths[to] = length;
+    }
+  };
+
+  // A long copy costs 3 bytes plus 2 per word, so the cheapest one that ends
+  // at a position starts wherever `costs[from] - from * 2` is smallest. The
+  // stream is shorter than the longest copy, so any earlier start is allowed.
+  let longCopyFrom = -1;
+
+  for (let pos = 0; pos <= WORD_COUNT; pos++) {
+    const from = pos - MIN_LONG_COPY_LENGTH;
+    if (from >= 0) {
+      if (longCopyFrom === -1 || costs[from] - from * 2 < costs[longCopyFrom] - longCopyFrom * 2) {
+        longCopyFrom = from;
+      }
+      step(longCopyFrom, longCopyFrom - pos, 3 + (pos - longCopyFrom) * 2);
+    }
+    if (pos === WORD_COUNT) {
+      break;
+    }
+    const maxCopyLength = Math.min(MAX_COPY_LENGTH, WORD_COUNT - pos);
+    for (let length = 1; length <= maxCopyLength; length++) {
+      step(pos, -length, 1 + length * 2);
+    }
+    const run = runs[pos];
+    const maxShortRepeatLength = Math.min(MAX_SHORT_REPEAT_LENGTH, run);
+    for (let length = 2; length <= maxShortRepeatLength; length++) {
+      step(pos, length, 3);
+    }
+    if (run > MAX_SHORT_REPEAT_LENGTH) {
+      step(pos, run, 5);
+    }
+  }
+
+  // Walk back through the stream to find the commands used
+  const commands = [];
+  for (let pos = WORD_COUNT; pos > 0; pos -= Math.abs(lengths[pos])) {
+    commands.unshift([pos - Math.abs(lengths[pos]), lengths[pos]]);
+  }
+
+  const controlBytes = [];
+  const dataWords = [];
+
+  for (const [pos, length] of commands) {
+    if (length < -MAX_COPY_LENGTH) {
+      controlBytes.push(1, -length >> 8, -length & 0xff);
+      for (let c = 0; c < -length; c++) {
+        dataWords.push(words[pos + c]);
+      }
+    } else if (length < 0) {
+      controlBytes.push(length & 0xff);
+      for (let c = 0; c < -length; c++) {
+        dataWords.push(words[pos + c]);
+      }
+    } else {
+      if (length > MAX_SHORT_REPEAT_LENGTH) {
+        controlBytes.push(0, length >> 8, length & 0xff);
+      } else {
+        controlBytes.push(length);
+      }
+      dataWords.push(words[pos]);
+    }
+  }
+
+  const dataBytes = new Uint8Array(dataWords.length * 2);
+  const dataView = new DataView(dataBytes.buffer);
+  dataWords.forEach((word, index) => dataView.setUint16(index * 2, word));
+
+  return {
+    controlBytes: new Uint8Array(controlBytes),
+    dataWords: dataBytes
+  };
+};
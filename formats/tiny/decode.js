@@ -1,6 +1,7 @@
 import { ENCODING_FORMAT_WORD } from '../../consts.js';
 import { readAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
-import { decode } from '../../decode.js';
+import { decodeIndexed, renderIndexedImage } from '../../decode.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
 import decompress from './decompress.js';
 
 /**
@@ -8,9 +9,22 @@ import decompress from './decompress.js';
  */
 
 
+/**
+ * @typedef TinyStuffColorAnimation
+ * @property {number} start The first palette index of the animated color range
+ * @property {number} end The last palette index of the animated color range
+ * @property {number} direction The direction of the rotation. `-1` for left or `1` for right
+ * @property {number} delay The delay between each rotation step in 1/60ths of a second
+ * @property {number} iterations The number of times the colors are rotated
+ */
+
 /**
  * @typedef TinyStuffImageMetadata
  * @property {IndexedPalette} palette The color palette for the image
+ * @property {number} resolution The Atari ST resolution: `0` (low), `1` (medium) or `2` (high)
+ * @property {import('../../types.js').IndexedImage} indices The palette index of each pixel
+ * @property {TinyStuffColorAnimation} [colorAnimation] The color animation settings, if the image has them
+ * @property {Array<import('../../types.js').ColorCycle>} colorCycles The color animation as a color cycling range, for use with `createColorCycler`
  */
 
 /**
@@ -28,32 +42,74 @@ import decompress from './decompress.js';
  */
 export default (buffer) => {
   const dataView = new DataView(buffer);
-  const res = dataView.getUint8(0);
+  let res = dataView.getUint8(0);
+  let pos = 1;
+  let colorAnimation;
+
+  if (res > 5) {
+    throw new PlanarCoderError('Invalid file format');
+  }
 
+  // Resolutions 3 to 5 indicate the image has color animation data, stored in
+  // the 4 bytes following the resolution.
   if (res > 2) {
-    throw 'colour animation variant not supported yet';
+    const limits = dataView.getUint8(1);
+    const speed = dataView.getInt8(2);
+    colorAnimation = {
+      start: limits >> 4,
+      end: limits & 0xf,
+      direction: speed < 0 ? -1 : 1,
+      delay: Math.abs(speed),
+      iterations: dataView.getUint16(3)
+    };
+    res -= 3;
+    pos += 4;
   }
 
   const width = res === 0 ? 320 : 640;
   const height = res < 2 ? 200 : 400;
   const planes = 4 >> res;
   const colors = 1 << planes;
-  const palette = readAtariStIndexedPalette(new Uint8Array(buffer.slice(1, 33)), colors);
-  const controlByteCount = dataView.getUint16(33);
-  const dataWordCount = dataView.getUint16(35);
-  const controlBytes = new DataView(dataView.buffer, 37, controlByteCount);
-  const dataWords = new DataView(dataView.buffer, 37 + controlByteCount, dataWordCount * 2);
+  const palette = readAtariStIndexedPalette(new Uint8Array(buffer.slice(pos, pos + 32)), colors);
+  const controlByteCount = dataView.getUint16(pos + 32);
+  const dataWordCount = dataView.getUint16(pos + 34);
+  const controlBytes = new DataView(dataView.buffer, pos + 36, controlByteCount);
+  const dataWords = new DataView(dataView.buffer, pos + 36 + controlByteCount, dataWordCount * 2);
   
   const bitplaneData = new Uint8Array((width / 8) * height * planes);
   decompress(controlBytes, dataWords, bitplaneData.buffer);
 
-  const imageData = decode(bitplaneData, width, height, palette, { format: ENCODING_FORMAT_WORD });
+  const indices = decodeIndexed(bitplaneData, width, height, { format: ENCODING_FORMAT_WORD, planes });
+  const imageData = renderIndexedImage(indices, palette);
+
+  /** @type {TinyStuffImageMetadata} */
+  const meta = {
+    palette,
+    resolution: res,
+    indices,
+    colorCycles: []
+  };
+
+  if (colorAnimation) {
+    const {
+      start,
+      end,
+      direction,
+      delay
+    } = colorAnimation;
+    meta.colorAnimation = colorAnimation;
+    meta.colorCycles.push({
+      start,
+      end,
+      rate: delay ? 60 / delay : 0,
+      direction,
+      active: true
+    });
+  }
 
   return {
     imageData,
-    meta: {
-      palette
-    }
+    meta
   };
 };
 
@@ -0,0 +1,81 @@
+import { ENCODING_FORMAT_WORD } from '../../consts.js';
+import { writeAtariStIndexedPalette } from '../../IndexedPaletteHelpers.js';
+import { encode } from '../../encode.js';
+import PlanarCoderError from '../../lib/PlanarCoderError.js';
+import compress from './compress.js';
+
+/**
+ * @typedef {import('../../lib/IndexedPalette.js').default} IndexedPalette
+ * @typedef {import('./decode.js').TinyStuffColorAnimation} TinyStuffColorAnimation
+ */
+
+/**
+ * @typedef TinyStuffImageEncodingOptions
+ * @property {TinyStuffColorAnimation} [colorAnimation] Color animation settings to store with the image
+ */
+
+/**
+ * Encodes a `ImageData` object into a Tiny Stuff image. The resolution (TN1,
+ * TN2 or TN3) is determined by the dimensions of the image.
+ *
+ * @param {ImageData} imageData - The image data to encode
+ * @param {IndexedPalette} palette - The color palette to use
+ * @param {TinyStuffImageEncodingOptions} options - The encoding options
+ * @returns {ArrayBuffer} The encoded Tiny Stuff image bytes
+ * @throws {PlanarCoderError} If the image dimensions or palette are invalid
+ */
+export default (imageData, palette, options = {}) => {
+  const { colorAnimation } = options;
+  const { height, width } = imageData;
+  let res;
+
+  if (width === 320 && height === 200) {
+    res = 0;
+  } else if (width === 640 && height === 200) {
+    res = 1;
+  } else if (width === 640 && height === 400) {
+    res = 2;
+  } else {
+    throw new PlanarCoderError('Tiny images must be 320x200, 640x200 or 640x400');
+  }
+
+  const planes = 4 >> res;
+  const colors = 1 << planes;
+
+  if (palette.length > colors) {
+    throw new PlanarCoderError('Too many colors');
+  }
+
+  const bitplaneData = encode(imageData, palette, { format: ENCODING_FORMAT_WORD, planes });
+  const { controlBytes, dataWords } = compress(bitplaneData);
+
+  // Images with color animation data have a 4 byte header after the 
+  // resolution byte, which is offset by 3 to indicate its presence.
+  const headerLength = colorAnimation ? 5 : 1;
+  const buffer = new ArrayBuffer(headerLength + 36 + controlBytes.byteLength + dataWords.byteLength);
+  const dataView = new DataView(buffer);
+
+  if (colorAnimation) {
+    const {
+      start,
+      end,
+      direction,
+      delay,
+      iterations
+    } = colorAnimation;
+    dataView.setUint8(0, res + 3);
+    dataView.setUint8(1, (start << 4) | (end & 0xf));
+    dataView.setInt8(2, direction < 0 ? -delay : delay);
+    dataView.setUint16(3, iterations);
+  } else {
+    dataView.setUint8(0, res);
+  }
+
+  writeAtariStIndexedPalette(new Uint8Array(buffer, headerLength, 32), palette);
+  dataView.setUint16(headerLength + 32, controlBytes.byteLength);
+  dataView.setUint16(headerLength + 34, dataWords.byteLength / 2);
+  new Uint8Array(buffer, headerLength + 36).set(controlBytes);
+  new Uint8Array(buffer, headerLength + 36 + controlBytes.byteLength).set(dataWords);
+
+  return buffer;
+};
@@ -7,10 +7,22 @@ export { default as BitplaneWriter } from './lib/BitplaneWriter.js';
 
 export { encode } from './encode.js';
 export { decode } from './decode.js';
+export { detectFormat, decodeImage } from './detect.js';
+export { decodeAll } from './formats/iff/decode.js';
+export { encodeAll } from './formats/iff/encode.js';
 export { readAtariStIndexedPalette, writeAtariStIndexedPalette } from './IndexedPaletteHelpers.js';
+export { createColorCycler, createIndexedImage } from './ColorCycleHelpers.js';
+export { correctAspectRatio, getPixelAspectRatio } from './AspectRatioHelpers.js';
 
 export { 
   ENCODING_FORMAT_CONTIGUOUS,
   ENCODING_FORMAT_LINE,
-  ENCODING_FORMAT_WORD
+  ENCODING_FORMAT_WORD,
+  IMAGE_FORMAT_IFF,
+  IMAGE_FORMAT_DEGAS,
+  IMAGE_FORMAT_NEOCHROME,
+  IMAGE_FORMAT_CRACKART,
+  IMAGE_FORMAT_TINY,
+  IMAGE_FORMAT_SPECTRUM512,
+  IMAGE_FORMAT_STOS
 } from './consts.js';
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAtariStPalette,
+  createImage,
+  createIndexedImage,
+  patterns
+} from './helpers.js';
+import { correctAspectRatio, getPixelAspectRatio } from '../AspectRatioHelpers.js';
+import encodeDegas from '../formats/degas/encode.js';
+import decodeDegas from '../formats/degas/decode.js';
+
+describe('aspect ratio', () => {
+  it('uses the stored aspect ratio', () => {
+    const imageData = new ImageData(32, 8);
+    assert.deepEqual(getPixelAspectRatio(imageData, { xAspectRatio: 10, yAspectRatio: 11 }), { x: 10, y: 11 });
+  });
+
+  it('uses the Amiga display mode', () => {
+    const imageData = new ImageData(640, 256);
+    assert.deepEqual(getPixelAspectRatio(imageData, { amigaHires: true, amigaLace: false }), { x: 1, y: 2 });
+    assert.deepEqual(getPixelAspectRatio(imageData, { amigaHires: false, amigaLace: true }), { x: 2, y: 1 });
+    assert.deepEqual(getPixelAspectRatio(imageData, { amigaHires: true, amigaLace: true }), { x: 1, y: 1 });
+  });
+
+  it('uses the stored Atari ST resolution', () => {
+    ['320x200', '640x200', '640x400'].forEach((size, resolution) => {
+      const [width, height] = size.split('x').map(Number);
+      const colors = [16, 4, 2][resolution];
+      const palette = createAtariStPalette(colors);
+      const { imageData, meta } = decodeDegas(encodeDegas(createIndexedImage(width, height, palette, patterns.flat), palette));
+      assert.equal(meta.resolution, resolution);
+      assert.deepEqual(getPixelAspectRatio(imageData, meta), resolution === 1 ? { x: 1, y: 2 } : { x: 1, y: 1 });
+    });
+  });
+
+  it('repeats lines of images with tall pixels', () => {
+    const imageData = createImage(4, 2, (x, y) => [x * 60, y * 100, 0, 255]);
+    const { imageData: scaled, meta } = correctAspectRatio({ imageData, meta: { resolution: 1 } });
+    assert.equal(scaled.width, 4);
+    assert.equal(scaled.height, 4);
+    assert.equal(meta.xScale, 1);
+    assert.equal(meta.yScale, 2);
+    assert.deepEqual(scaled.data.slice(16, 32), imageData.data.slice(0, 16));
+  });
+
+  it('scales by the exact aspect ratio when filtering', () => {
+    const imageData = new ImageData(10, 10);
+    const { imageData: scaled } = correctAspectRatio({ imageData, meta: { xAspectRatio: 3, yAspectRatio: 2 } }, { filter: true });
+    assert.equal(scaled.width, 15);
+    assert.equal(scaled.height, 10);
+  });
+});
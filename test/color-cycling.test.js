@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createIndexedImage,
+  createPalette
+} from './helpers.js';
+import { createColorCycler } from '../ColorCycleHelpers.js';
+import encode from '../formats/iff/encode.js';
+import decode from '../formats/iff/decode.js';
+
+const palette = createPalette(16);
+const getIndex = (x) => x % 16;
+const imageData = createIndexedImage(32, 4, palette, getIndex);
+
+describe('color cycling', () => {
+  const colorCycles = [
+    {
+      chunk: 'CRNG',
+      start: 1,
+      end: 3,
+      rate: 1,
+      direction: 1,
+      active: true
+    },
+    {
+      chunk: 'DRNG',
+      start: 4,
+      end: 8,
+      rate: 60,
+      direction: 1,
+      active: true,
+      cells: []
+    }
+  ];
+
+  const { meta } = decode(encode(imageData, palette, { colorCycles }));
+  const cycler = createColorCycler(meta.indices, meta.palette, meta.colorCycles);
+
+  it('renders the original image at time 0', () => {
+    assertImagesEqual(cycler.render(0), imageData);
+  });
+
+  it('rotates the colors of active ranges', () => {
+    // After one step each color in the range moves to the next index
+    const cycled = [0, 3, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+    const expected = createIndexedImage(32, 4, palette, (x) => cycled[getIndex(x)]);
+    assertImagesEqual(cycler.render(1500), expected);
+    const { r, g, b } = cycler.getPalette(1500).getColor(2);
+    assert.deepEqual([r, g, b], [1, 0, 8]);
+  });
+
+  it('renders into an existing image', () => {
+    const target = cycler.render(0);
+    cycler.render(1000, target);
+    cycler.render(2000, target);
+    assertImagesEqual(target, cycler.render(2000));
+  });
+});
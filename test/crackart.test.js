@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createAtariStPalette,
+  createIndexedImage,
+  patterns,
+  ATARI_ST_RESOLUTIONS
+} from './helpers.js';
+import encode from '../formats/crackart/encode.js';
+import decode from '../formats/crackart/decode.js';
+
+describe('Crack Art', () => {
+  for (const [width, height, colors] of ATARI_ST_RESOLUTIONS) {
+    for (const [name, pattern] of Object.entries(patterns)) {
+      for (const compression of [false, true]) {
+        it(`round-trips a ${width}x${height} ${name} image${compression ? ' with compression' : ''}`, () => {
+          const palette = createAtariStPalette(colors);
+          const imageData = createIndexedImage(width, height, palette, pattern);
+          const { imageData: decoded, meta } = decode(encode(imageData, palette, { compression }));
+          assert.equal(meta.compression, compression);
+          assertImagesEqual(decoded, imageData);
+        });
+      }
+    }
+  }
+
+  it('compresses flat images', () => {
+    const palette = createAtariStPalette(16);
+    const imageData = createIndexedImage(320, 200, palette, patterns.flat);
+    assert.ok(encode(imageData, palette, { compression: true }).byteLength < 100);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createAtariStPalette,
+  createIndexedImage,
+  patterns
+} from './helpers.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import { decodeImage, detectFormat } from '../detect.js';
+import encodeIff from '../formats/iff/encode.js';
+import encodeDegas from '../formats/degas/encode.js';
+import encodeNeochrome from '../formats/neochrome/encode.js';
+import encodeCrackArt from '../formats/crackart/encode.js';
+import encodeTiny from '../formats/tiny/encode.js';
+import encodeStos from '../formats/stos/encode.js';
+
+const palette = createAtariStPalette(16);
+const imageData = createIndexedImage(320, 200, palette, patterns.mixed);
+
+const encoders = {
+  iff: () => encodeIff(imageData, palette),
+  degas: () => encodeDegas(imageData, palette),
+  'degas compressed': () => encodeDegas(imageData, palette, { compression: true }),
+  neochrome: () => encodeNeochrome(imageData, palette),
+  crackart: () => encodeCrackArt(imageData, palette, { compression: true }),
+  tiny: () => encodeTiny(imageData, palette),
+  stos: () => encodeStos(imageData, palette)
+};
+
+describe('format detection', () => {
+  for (const [name, encode] of Object.entries(encoders)) {
+    it(`detects and decodes ${name} images`, () => {
+      const buffer = encode();
+      const format = name.split(' ')[0];
+      assert.equal(detectFormat(buffer).format, format);
+      const result = decodeImage(buffer);
+      assert.equal(result.format, format);
+      assertImagesEqual(result.imageData, imageData);
+    });
+  }
+
+  it('rejects unknown formats', () => {
+    const text = new TextEncoder().encode('Not an image. '.repeat(10)).buffer;
+    assert.equal(detectFormat(text), null);
+    assert.throws(() => decodeImage(text), PlanarCoderError);
+  });
+});
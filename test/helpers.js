@@ -0,0 +1,172 @@
+/* global globalThis */
+import assert from 'node:assert/strict';
+import IndexedPalette from '../lib/IndexedPalette.js';
+
+// Node doesn't implement `ImageData`, so the tests use a minimal version of it
+if (typeof globalThis.ImageData === 'undefined') {
+  globalThis.ImageData = class ImageData {
+    constructor(dataOrWidth, width, height) {
+      if (typeof dataOrWidth === 'number') {
+        this.width = dataOrWidth;
+        this.height = width;
+        this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+      } else {
+        this.data = dataOrWidth;
+        this.width = width;
+        this.height = height === undefined ? dataOrWidth.length / 4 / width : height;
+      }
+    }
+  };
+}
+
+
+/**
+ * Creates a seeded pseudo-random number generator, so noisy test images are
+ * the same on every run.
+ *
+ * @param {number} [seed=1] The seed
+ * @returns {() => number} A function returning a random 16 bit number
+ */
+export const createRandom = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state >> 15;
+  };
+};
+
+
+/**
+ * Creates a palette where every color is different.
+ *
+ * @param {number} colors The number of colors in the palette
+ * @param {number} [bitsPerChannel=8] The number of bits used for each channel
+ * @returns {IndexedPalette} The palette
+ */
+export const createPalette = (colors, bitsPerChannel = 8) => {
+  const palette = new IndexedPalette(colors, { bitsPerChannel });
+  const max = (1 << bitsPerChannel) - 1;
+  for (let c = 0; c < colors; c++) {
+    palette.setColor(c, c & max, (c >> bitsPerChannel) & max, (c * 5 + 3) & max);
+  }
+  return palette;
+};
+
+
+/**
+ * Creates an image using the colors of a palette.
+ *
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {IndexedPalette} palette The palette to take colors from
+ * @param {(x: number, y: number) => number} getIndex Returns the palette index of a pixel
+ * @returns {ImageData} The image
+ */
+export const createIndexedImage = (width, height, palette, getIndex) => {
+  const imageData = new ImageData(width, height);
+  const view = new DataView(imageData.data.buffer);
+  const colors = palette.resample(8).toValueArray();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      view.setUint32((y * width + x) * 4, colors[getIndex(x, y) % colors.length]);
+    }
+  }
+  return imageData;
+};
+
+
+/**
+ * Creates a true color image.
+ *
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {(x: number, y: number) => Array<number>} getColor Returns the RGBA values of a pixel
+ * @returns {ImageData} The image
+ */
+export const createImage = (width, height, getColor) => {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      imageData.data.set(getColor(x, y), (y * width + x) * 4);
+    }
+  }
+  return imageData;
+};
+
+
+/**
+ * Returns the mean squared error per pixel between two images
+ *
+ * @param {ImageData} a The first image
+ * @param {ImageData} b The second image
+ * @returns {number} The error
+ */
+export const getImageError = (a, b) => {
+  let error = 0;
+  for (let i = 0; i < a.data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      error += (a.data[i + c] - b.data[i + c]) ** 2;
+    }
+  }
+  return error / (a.width * a.height);
+};
+
+
+/**
+ * Asserts that two images have identical pixels. Unlike `assert.deepEqual`,
+ * a failure reports the first differing pixel rather than diffing the whole
+ * image.
+ *
+ * @param {ImageData} actual The decoded image
+ * @param {ImageData} expected The source image
+ */
+export const assertImagesEqual = (actual, expected) => {
+  assert.equal(actual.width, expected.width, 'width');
+  assert.equal(actual.height, expected.height, 'height');
+  const index = actual.data.findIndex((value, i) => value !== expected.data[i]);
+  if (index !== -1) {
+    const pixel = index >> 2;
+    const x = pixel % expected.width;
+    const y = Math.floor(pixel / expected.width);
+    const start = pixel * 4;
+    assert.fail(`pixel ${x},${y} is ${actual.data.slice(start, start + 4)}, expected ${expected.data.slice(start, start + 4)}`);
+  }
+};
+
+
+/**
+ * Returns a palette for an Atari ST resolution. Monochrome images always use
+ * white and black.
+ *
+ * @param {number} colors The number of colors in the resolution
+ * @returns {IndexedPalette} The palette
+ */
+export const createAtariStPalette = (colors) => {
+  return colors === 2 ? IndexedPalette.monochrome().resample(3) : createPalette(colors, 3);
+};
+
+
+/**
+ * The test patterns used for indexed images. Each returns a palette index for
+ * a pixel.
+ */
+export const patterns = {
+  flat: () => 0,
+  blocks: (x, y) => (x >> 3) + (y >> 2),
+  noise: (() => {
+    const random = createRandom(7);
+    return () => random();
+  })(),
+  mixed: (x, y) => (y < 100 ? 0 : (x * y) >> 6),
+  sparse: (x) => (x > 200 ? 3 : (x % 5 === 0 ? 1 : 0))
+};
+
+
+/**
+ * The Atari ST screen resolutions as `[width, height, colors]`
+ */
+export const ATARI_ST_RESOLUTIONS = [
+  [320, 200, 16],
+  [640, 200, 4],
+  [640, 400, 2]
+];
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createIndexedImage,
+  createPalette
+} from './helpers.js';
+import { encode as encodeBitplanes } from '../encode.js';
+import IffChunkWriter from '../formats/iff/IffChunkWriter.js';
+import encodeIff from '../formats/iff/encode.js';
+import encode from '../formats/iff/anim/encode.js';
+import decode from '../formats/iff/anim/decode.js';
+
+const WIDTH = 32;
+const HEIGHT = 8;
+const PLANES = 4;
+const BYTES_PER_LINE = WIDTH / 8;
+
+const palette = createPalette(16);
+
+// A moving square on a patterned background
+const createFrame = (frame) => createIndexedImage(WIDTH, HEIGHT, palette, (x, y) => {
+  if (Math.abs(x - frame * 4 - 4) < 3 && Math.abs(y - 4) < 3) {
+    return frame * 3 + 1;
+  }
+  return (x >> 2) + y;
+});
+
+const frames = [0, 1, 2, 3, 4].map(createFrame);
+
+/**
+ * Creates an op 5, 7 or 8 delta that replaces every line of every column
+ * using unique ops.
+ */
+const createUniqueDelta = (operation, long, imageData) => {
+  const bitplaneData = new Uint8Array(encodeBitplanes(imageData, palette, { format: 'line', planes: PLANES }));
+  const size = operation === 5 ? 1 : (long ? 4 : 2);
+  const opSize = operation === 8 ? size : 1;
+  const pointers = new DataView(new ArrayBuffer(64));
+  const body = [];
+
+  const push = (list, value, bytes) => {
+    for (let c = bytes - 1; c >= 0; c--) {
+      list.push((value >>> (c * 8)) & 0xff);
+    }
+  };
+
+  for (let plane = 0; plane < PLANES; plane++) {
+    const ops = [];
+    const data = [];
+    for (let column = 0; column < BYTES_PER_LINE; column += size) {
+      push(ops, 1, opSize);
+      push(ops, (1 << (opSize * 8 - 1)) | HEIGHT, opSize);
+      for (let y = 0; y < HEIGHT; y++) {
+        const offset = (y * PLANES + plane) * BYTES_PER_LINE + column;
+        let value = 0;
+        for (let c = 0; c < size; c++) {
+          value = value * 256 + bitplaneData[offset + c];
+        }
+        push(operation === 7 ? data : ops, value, size);
+      }
+    }
+    pointers.setUint32(plane * 4, 64 + body.length);
+    body.push(...ops);
+    if (operation === 7) {
+      pointers.setUint32(32 + plane * 4, 64 + body.length);
+      body.push(...data);
+    }
+  }
+  return new Uint8Array([...new Uint8Array(pointers.buffer), ...body]);
+};
+
+/**
+ * Creates an animation file from a key frame and a list of deltas
+ */
+const createAnim = (operation, long, sequence) => {
+  const buffer = new ArrayBuffer(65536);
+  const writer = new IffChunkWriter(buffer);
+  writer.startChunk('FORM');
+  writer.writeString('ANIM');
+  writer.writeBytes(new Uint8Array(encodeIff(sequence[0], palette)));
+  for (let c = 1; c < sequence.length; c++) {
+    writer.startChunk('FORM');
+    writer.writeString('ILBM');
+    writer.startChunk('ANHD');
+    writer.writeUint8(operation);
+    writer.writeBytes(new Uint8Array(13));
+    writer.writeUint32(c);
+    writer.writeUint8(0);
+    writer.writeUint8(0);
+    writer.writeUint32(long ? 1 : 0);
+    writer.writeBytes(new Uint8Array(16));
+    writer.endChunk();
+    writer.startChunk('DLTA');
+    writer.writeBytes(createUniqueDelta(operation, long, sequence[c]));
+    writer.endChunk();
+    writer.endChunk();
+  }
+  return buffer.slice(0, writer.endChunk());
+};
+
+describe('IFF ANIM', () => {
+  for (const [operation, long] of [[5, false], [7, false], [7, true], [8, false], [8, true]]) {
+    it(`decodes op ${operation}${long ? ' long' : ''} deltas`, () => {
+      const { frames: decoded, meta } = decode(createAnim(operation, long, frames));
+      assert.equal(decoded.length, frames.length);
+      assert.equal(meta.loop, false);
+      decoded.forEach(({ imageData, reltime }, index) => {
+        assertImagesEqual(imageData, frames[index]);
+        assert.equal(reltime, index);
+      });
+    });
+  }
+
+  it('round-trips encoded animations', () => {
+    const { frames: decoded, meta } = decode(encode(frames, palette, { loop: false, compression: 2 }));
+    assert.equal(decoded.length, frames.length);
+    assert.equal(meta.loop, false);
+    decoded.forEach(({ imageData }, index) => assertImagesEqual(imageData, frames[index]));
+  });
+
+  it('reports frames added for looping', () => {
+    const { frames: decoded, meta } = decode(encode(frames, palette));
+    assert.equal(meta.loop, true);
+    assert.equal(meta.interleave, 2);
+    assert.equal(decoded.length, frames.length + 2);
+    [...frames, frames[0], frames[1]].forEach((frame, index) => assertImagesEqual(decoded[index].imageData, frame));
+  });
+
+  it('keeps repeated frames', () => {
+    const sequence = [frames[0], frames[1], frames[0], frames[1]];
+    const { frames: decoded } = decode(encode(sequence, palette, { loop: false }));
+    assert.equal(decoded.length, 4);
+    sequence.forEach((frame, index) => assertImagesEqual(decoded[index].imageData, frame));
+  });
+
+  it('stores the duration of each frame with the frame that follows it', () => {
+    const durations = [2, 3, 4, 5, 6];
+    const { frames: looped } = decode(encode(frames, palette, { durations }));
+    assert.deepEqual(looped.map(({ reltime }) => reltime), [0, 2, 3, 4, 5, 6, 2]);
+    const { frames: unlooped } = decode(encode(frames, palette, { durations, loop: false }));
+    assert.deepEqual(unlooped.map(({ reltime }) => reltime), [0, 2, 3, 4, 5]);
+  });
+});
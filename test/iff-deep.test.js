@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertImagesEqual, createImage } from './helpers.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import IffChunkWriter from '../formats/iff/IffChunkWriter.js';
+import decode from '../formats/iff/deep/decode.js';
+
+const WIDTH = 5;
+const HEIGHT = 3;
+
+const ELEMENT_RED = 1;
+const ELEMENT_GREEN = 2;
+const ELEMENT_BLUE = 3;
+const ELEMENT_ALPHA = 4;
+const ELEMENT_MASK = 8;
+
+const RGB_ELEMENTS = [[ELEMENT_RED, 8], [ELEMENT_GREEN, 8], [ELEMENT_BLUE, 8]];
+
+const getColor = (x, y) => [x * 40, y * 80, (x + y) * 20, 200 + x];
+
+/**
+ * Creates a `DEEP` file with the given pixel elements and body
+ */
+const createDeep = (compression, elements, body, { location, deltaTable } = {}) => {
+  const buffer = new ArrayBuffer(body.length + 512);
+  const writer = new IffChunkWriter(buffer);
+  writer.startChunk('FORM');
+  writer.writeString('DEEP');
+
+  writer.startChunk('DGBL');
+  writer.writeUint16(WIDTH);
+  writer.writeUint16(HEIGHT);
+  writer.writeUint16(compression);
+  writer.writeUint8(1);
+  writer.writeUint8(1);
+  writer.endChunk();
+
+  writer.startChunk('DPEL');
+  writer.writeUint32(elements.length);
+  for (const [type, depth] of elements) {
+    writer.writeUint16(type);
+    writer.writeUint16(depth);
+  }
+  writer.endChunk();
+
+  if (deltaTable) {
+    writer.startChunk('TVDC');
+    deltaTable.forEach((value) => writer.writeInt16(value));
+    writer.endChunk();
+  }
+
+  if (location) {
+    writer.startChunk('DLOC');
+    location.forEach((value) => writer.writeInt16(value));
+    writer.endChunk();
+  }
+
+  writer.startChunk('DBOD');
+  writer.writeBytes(body);
+  writer.endChunk();
+
+  writer.startChunk('NAME');
+  writer.writeString('test');
+  writer.endChunk();
+
+  return buffer.slice(0, writer.endChunk());
+};
+
+describe('IFF DEEP', () => {
+  it('decodes uncompressed elements in any order', () => {
+    const body = [];
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        const [r, g, b, a] = getColor(x, y);
+        body.push(b, g, r, a);
+      }
+    }
+    const { imageData, meta } = decode(createDeep(0, [[ELEMENT_BLUE, 8], [ELEMENT_GREEN, 8], [ELEMENT_RED, 8], [ELEMENT_ALPHA, 8]], body));
+    assertImagesEqual(imageData, createImage(WIDTH, HEIGHT, getColor));
+    assert.equal(meta.elements.length, 4);
+    assert.deepEqual(meta.chunks.map(({ id }) => id), ['NAME']);
+  });
+
+  it('decodes run-length encoded bodies', () => {
+    const colors = [];
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        colors.push(getColor(x, y).slice(0, 3));
+      }
+    }
+    // A single literal followed by a literal of the remaining pixels
+    const body = [0, ...colors[0], colors.length - 2, ...colors.slice(1).flat()];
+    const { imageData } = decode(createDeep(1, RGB_ELEMENTS, body));
+    assertImagesEqual(imageData, createImage(WIDTH, HEIGHT, (x, y) => [...getColor(x, y).slice(0, 3), 255]));
+
+    const { imageData: repeated } = decode(createDeep(1, RGB_ELEMENTS, [256 - 14, 10, 20, 30]));
+    assertImagesEqual(repeated, createImage(WIDTH, HEIGHT, () => [10, 20, 30, 255]));
+  });
+
+  it('decodes packed elements and a mask inside the DLOC area', () => {
+    const bits = [];
+    const pushBits = (value, length) => {
+      for (let c = length - 1; c >= 0; c--) {
+        bits.push((value >> c) & 1);
+      }
+    };
+    for (let y = 0; y < 2; y++) {
+      for (let x = 0; x < 3; x++) {
+        pushBits(31, 5);
+        pushBits(x * 20, 6);
+        pushBits(y * 31, 5);
+        pushBits(x & 1, 1);
+      }
+      while (bits.length % 8) {
+        bits.push(0);
+      }
+    }
+    const body = [];
+    for (let c = 0; c < bits.length; c += 8) {
+      body.push(parseInt(bits.slice(c, c + 8).join(''), 2));
+    }
+    const elements = [[ELEMENT_RED, 5], [ELEMENT_GREEN, 6], [ELEMENT_BLUE, 5], [ELEMENT_MASK, 1]];
+    const { imageData } = decode(createDeep(0, elements, body, { location: [3, 2, 2, 1] }));
+    const expected = createImage(WIDTH, HEIGHT, (x, y) => {
+      if (x < 2 || y < 1) {
+        return [0, 0, 0, 0];
+      }
+      return [255, [0, 81, 162][x - 2], (y - 1) * 255, (x - 2) & 1 ? 255 : 0];
+    });
+    assertImagesEqual(imageData, expected);
+  });
+
+  it('decodes TVPaint delta compressed bodies', () => {
+    const deltaTable = [0, 1, 2, 4, 8, 16, 32, 64, -1, -2, -4, -8, -16, -32, -64, 100];
+    // Each element line adds 100 and 1, then repeats the last value 3 times
+    const body = [];
+    for (let c = 0; c < HEIGHT * 3; c++) {
+      body.push(0xf1, 0x02);
+    }
+    const { imageData } = decode(createDeep(5, RGB_ELEMENTS, body, { deltaTable }));
+    assertImagesEqual(imageData, createImage(WIDTH, HEIGHT, (x) => (x ? [101, 101, 101, 255] : [100, 100, 100, 255])));
+  });
+
+  it('rejects unsupported compression methods', () => {
+    assert.throws(() => decode(createDeep(4, [[ELEMENT_RED, 8]], [1])), PlanarCoderError);
+  });
+});
@@ -0,0 +1,374 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createImage,
+  createIndexedImage,
+  createPalette,
+  createRandom,
+  getImageError,
+  patterns
+} from './helpers.js';
+import IndexedPalette from '../lib/IndexedPalette.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import encode, { encodeAll } from '../formats/iff/encode.js';
+import { AMIGA_MONITOR_ID_PAL } from '../formats/iff/consts.js';
+import decode, { decodeAll } from '../formats/iff/decode.js';
+import IffChunkReader from '../formats/iff/IffChunkReader.js';
+import IffChunkWriter from '../formats/iff/IffChunkWriter.js';
+import { decodeImage } from '../detect.js';
+
+const gradient = createImage(160, 100, (x, y) => [x * 255 / 159, y * 255 / 99, (x ^ y) & 64 ? 200 : 30, 255]);
+
+describe('IFF', () => {
+  describe('HAM', () => {
+    for (const [planeCount, maxError] of [[6, 150], [8, 30]]) {
+      it(`encodes HAM${planeCount} images`, () => {
+        const { imageData, meta } = decode(encode(gradient, null, { amigaHam: true, planeCount }));
+        assert.equal(meta.amigaHam, true);
+        assert.equal(meta.planeCount, planeCount);
+        assert.equal(meta.palette.length, 1 << (planeCount - 2));
+        assert.ok(getImageError(imageData, gradient) < maxError);
+      });
+
+      it(`re-encodes decoded HAM${planeCount} images without loss`, () => {
+        const { imageData, meta } = decode(encode(gradient, null, { amigaHam: true, planeCount }));
+        const { imageData: reencoded } = decode(encode(imageData, meta.palette, meta));
+        assertImagesEqual(reencoded, imageData);
+      });
+    }
+  });
+
+  describe('Atari VDAT compression', () => {
+    for (const [width, height] of [[320, 200], [16, 3], [640, 400]]) {
+      for (const [name, pattern] of Object.entries(patterns)) {
+        it(`round-trips a ${width}x${height} ${name} image`, () => {
+          const palette = createPalette(16);
+          const imageData = createIndexedImage(width, height, palette, pattern);
+          const buffer = encode(imageData, palette, { compression: 2 });
+          assert.equal(buffer.byteLength % 2, 0);
+          const { imageData: decoded, meta } = decode(buffer);
+          assert.equal(meta.compression, 2);
+          assertImagesEqual(decoded, imageData);
+        });
+      }
+    }
+  });
+
+  describe('transparency', () => {
+    // Every 8th pixel is transparent and no opaque pixel uses color 3
+    const palette = createPalette(16);
+    const imageData = createIndexedImage(32, 8, palette, (x, y) => ((x + y) % 16 === 3 ? 4 : x + y));
+    for (let pixel = 0; pixel < 32 * 8; pixel += 8) {
+      imageData.data.fill(0, pixel * 4, pixel * 4 + 4);
+    }
+
+    const assertAlphaEqual = (actual, expected) => {
+      for (let pos = 3; pos < expected.data.length; pos += 4) {
+        assert.equal(actual.data[pos] < 128, expected.data[pos] < 128, `pixel ${pos >> 2}`);
+      }
+    };
+
+    for (const options of [
+      { mask: 1 },
+      { mask: 2, transparentColor: 3 },
+      {
+        mask: 2,
+        transparentColor: 3,
+        encoding: 'pbm',
+        compression: 0
+      }
+    ]) {
+      it(`round-trips transparent pixels with ${JSON.stringify(options)}`, () => {
+        const { imageData: decoded, meta } = decode(encode(imageData, palette, options));
+        assert.equal(meta.mask, options.mask);
+        assertAlphaEqual(decoded, imageData);
+      });
+    }
+
+    it('keeps the transparent color free in generated HAM palettes', () => {
+      const source = createImage(32, 8, (x, y) => [x * 8, y * 32, 0, x % 8 ? 255 : 0]);
+      const { imageData: decoded } = decode(encode(source, null, { amigaHam: true, mask: 2, transparentColor: 1 }));
+      assertAlphaEqual(decoded, source);
+    });
+
+    it('rejects opaque pixels that use the transparent color', () => {
+      for (const encoding of ['ilbm', 'pbm']) {
+        assert.throws(() => encode(imageData, palette, { mask: 2, transparentColor: 4, encoding }), PlanarCoderError);
+      }
+    });
+
+    it('rejects transparent colors that don\'t fit in the bitplanes', () => {
+      assert.throws(() => encode(imageData, palette, { mask: 2, transparentColor: 16 }), PlanarCoderError);
+    });
+  });
+
+  describe('deep ILBM', () => {
+    for (const planeCount of [24, 32]) {
+      it(`round-trips ${planeCount} plane images`, () => {
+        const imageData = createImage(32, 8, (x, y) => [x * 8, y * 32, (x * y) & 255, planeCount === 32 ? x * 4 : 255]);
+        const { imageData: decoded, meta } = decode(encode(imageData, null, { planeCount }));
+        assert.equal(meta.planeCount, planeCount);
+        assertImagesEqual(decoded, imageData);
+      });
+    }
+  });
+
+  describe('PBM', () => {
+    for (const [width, colors] of [[32, 16], [33, 256], [120, 256]]) {
+      it(`round-trips a ${width} pixel wide ${colors} color image`, () => {
+        const palette = createPalette(colors);
+        const getIndex = (x, y) => (x * 7 + y * 3) % colors;
+        const imageData = createIndexedImage(width, 20, palette, getIndex);
+        const { imageData: decoded, meta } = decode(encode(imageData, palette, { encoding: 'pbm' }));
+        assert.equal(meta.encoding, 'pbm');
+        assertImagesEqual(decoded, imageData);
+        assert.equal(meta.indices.data[width * 5 + 9], getIndex(9, 5));
+      });
+    }
+  });
+
+  describe('color cycling', () => {
+    it('round-trips CRNG, CCRT and DRNG ranges', () => {
+      const palette = createPalette(16);
+      const imageData = createIndexedImage(32, 8, palette, patterns.blocks);
+      const colorCycles = [
+        {
+          chunk: 'CRNG',
+          start: 1,
+          end: 5,
+          rate: 60,
+          direction: 1,
+          active: true
+        },
+        {
+          chunk: 'CCRT',
+          start: 2,
+          end: 4,
+          rate: 0.4,
+          direction: -1,
+          active: true
+        },
+        {
+          chunk: 'DRNG',
+          start: 0,
+          end: 3,
+          rate: 30,
+          direction: 1,
+          active: true,
+          cells: [{
+            cell: 0,
+            r: 1,
+            g: 2,
+            b: 3
+          }, {
+            cell: 2,
+            index: 7
+          }]
+        }
+      ];
+      const { meta } = decode(encode(imageData, palette, { colorCycles }));
+      assert.deepEqual(meta.colorCycles, colorCycles);
+    });
+  });
+
+  describe('PCHG', () => {
+    // Creates per-line palettes with every color changing on every line
+    const createLinePalettes = (height, colors, bitsPerChannel) => {
+      const max = (1 << bitsPerChannel) - 1;
+      const palettes = [];
+      for (let y = 0; y < height; y++) {
+        const palette = new IndexedPalette(colors, { bitsPerChannel });
+        for (let c = 0; c < colors; c++) {
+          palette.setColor(c, c & max, y & max, (c + y) & max);
+        }
+        palettes.push(palette);
+      }
+      return palettes;
+    };
+
+    const createLineImage = (width, palettes) => createImage(width, palettes.length, (x, y) => {
+      const { r, g, b } = palettes[y].resample(8).getColor((x * 3 + y) % palettes[y].length);
+      return [r, g, b, 255];
+    });
+
+    for (const [colors, bitsPerChannel] of [[16, 4], [32, 8]]) {
+      it(`round-trips ${colors} color ${bitsPerChannel} bit palettes`, () => {
+        const palettes = createLinePalettes(20, colors, bitsPerChannel);
+        const imageData = createLineImage(32, palettes);
+        const { imageData: decoded, meta } = decode(encode(imageData, palettes, { rasterChunk: 'PCHG' }));
+        assert.equal(meta.rasterChunk, 'PCHG');
+        assert.equal(meta.palette.length, 20);
+        assertImagesEqual(decoded, imageData);
+      });
+    }
+
+    it('encodes tall 256 color images', () => {
+      const palettes = createLinePalettes(512, 256, 8);
+      const imageData = createLineImage(32, palettes);
+      const { imageData: decoded } = decode(encode(imageData, palettes, { rasterChunk: 'PCHG' }));
+      assertImagesEqual(decoded, imageData);
+    });
+  });
+
+  describe('additional chunks', () => {
+    it('round-trips chunks that aren\'t used to decode the image', () => {
+      const palette = createPalette(16);
+      const imageData = createIndexedImage(32, 8, palette, patterns.blocks);
+      const chunks = [
+        { id: 'AUTH', data: new Uint8Array([77, 101]) },
+        { id: 'XYZW', data: new Uint8Array([1, 2, 3]) }
+      ];
+      const { meta } = decode(encode(imageData, palette, { chunks }));
+      assert.deepEqual(meta.chunks, chunks);
+      const { meta: reencoded } = decode(encode(imageData, palette, meta));
+      assert.deepEqual(reencoded.chunks, chunks);
+    });
+  });
+
+  describe('Amiga display modes', () => {
+    it('round-trips the full display mode ID', () => {
+      const palette = createPalette(16);
+      const imageData = createIndexedImage(32, 8, palette, patterns.blocks);
+      const amigaMode = {
+        monitor: AMIGA_MONITOR_ID_PAL,
+        hires: false,
+        superHires: true,
+        lace: true,
+        doubleScan: false,
+        ham: false,
+        ehb: false,
+        dualPlayfield: false,
+        playfield2Priority: false
+      };
+      const { meta } = decode(encode(imageData, palette, { amigaMode }));
+      assert.deepEqual(meta.amigaMode, amigaMode);
+    });
+  });
+
+  describe('CAT and LIST', () => {
+    const palette = createPalette(4);
+    const first = createIndexedImage(32, 8, palette, patterns.blocks);
+    const second = createIndexedImage(48, 6, palette, patterns.noise);
+
+    it('round-trips multiple images in a CAT', () => {
+      const buffer = encodeAll([
+        { imageData: first, palette },
+        { imageData: second, palette, options: { encoding: 'acbm' } }
+      ]);
+      assert.equal(new TextDecoder().decode(new Uint8Array(buffer, 0, 4)), 'CAT ');
+      const images = decodeAll(buffer);
+      assert.equal(images.length, 2);
+      assertImagesEqual(images[0].imageData, first);
+      assertImagesEqual(images[1].imageData, second);
+      assert.equal(images[1].meta.encoding, 'acbm');
+    });
+
+    it('decodes a single image as a list of one', () => {
+      const images = decodeAll(encode(first, palette));
+      assert.equal(images.length, 1);
+      assertImagesEqual(images[0].imageData, first);
+    });
+
+    it('returns every image from decodeImage', () => {
+      const { format, imageData, images } = decodeImage(encodeAll([{ imageData: first, palette }, { imageData: second, palette }]));
+      assert.equal(format, 'iff');
+      assertImagesEqual(imageData, first);
+      assert.equal(images.length, 2);
+    });
+
+    it('applies PROP chunks to the images of a LIST', () => {
+      // Split an image into its chunks, so the header and palette can be
+      // shared using a `PROP`
+      const reader = new IffChunkReader(encode(first, palette, { compression: 0 })).readChunk().reader;
+      reader.readString(4);
+      const chunks = {};
+      while (!reader.eof()) {
+        const chunk = reader.readChunk();
+        chunks[chunk.id] = new Uint8Array(chunk.reader.readBytes(chunk.length));
+      }
+
+      const buffer = new ArrayBuffer(4096);
+      const writer = new IffChunkWriter(buffer);
+      writer.startChunk('LIST');
+      writer.writeString('ILBM');
+      writer.startChunk('PROP');
+      writer.writeString('ILBM');
+      for (const id of ['BMHD', 'CMAP']) {
+        writer.startChunk(id);
+        writer.writeBytes(chunks[id]);
+        writer.endChunk();
+      }
+      writer.endChunk();
+      for (let c = 0; c < 2; c++) {
+        writer.startChunk('FORM');
+        writer.writeString('ILBM');
+        writer.startChunk('BODY');
+        writer.writeBytes(chunks.BODY);
+        writer.endChunk();
+        writer.endChunk();
+      }
+      // Forms that aren't images are skipped
+      writer.startChunk('FORM');
+      writer.writeString('8SVX');
+      writer.endChunk();
+
+      const images = decodeAll(buffer.slice(0, writer.endChunk()));
+      assert.equal(images.length, 2);
+      images.forEach(({ imageData }) => assertImagesEqual(imageData, first));
+    });
+
+    it('rejects files without images', () => {
+      assert.throws(() => decodeAll(new ArrayBuffer(16)), PlanarCoderError);
+    });
+  });
+
+  describe('RGBN and RGB8', () => {
+    // Colors are multiples of 17 so they can be stored in 4 bits per channel.
+    // Every 50th pixel is transparent and uses the genlock bit.
+    const random = createRandom(3);
+    const imageData = createImage(301, 7, (x) => {
+      const red = x < 200 ? 0x33 : (x < 290 ? (random() & 0xf) * 17 : 0xaa);
+      return [red, ((x >> 4) & 0xf) * 17, 0x11, x % 50 === 3 ? 0 : 255];
+    });
+
+    for (const encoding of ['rgbn', 'rgb8']) {
+      it(`round-trips ${encoding.toUpperCase()} images`, () => {
+        const { imageData: decoded, meta } = decode(encode(imageData, null, { encoding }));
+        assert.equal(meta.encoding, encoding);
+        assertImagesEqual(decoded, imageData);
+      });
+
+      it(`stores long ${encoding.toUpperCase()} runs`, () => {
+        const white = createImage(700, 2, () => [255, 255, 255, 255]);
+        assertImagesEqual(decode(encode(white, null, { encoding })).imageData, white);
+      });
+    }
+
+    it('reduces RGBN colors to 4 bits per channel', () => {
+      const color = createImage(16, 1, () => [0x12, 0x80, 0xfe, 255]);
+      const { imageData: decoded } = decode(encode(color, null, { encoding: 'rgbn' }));
+      assert.deepEqual([...decoded.data.slice(0, 4)], [0x11, 0x88, 0xff, 255]);
+    });
+  });
+
+  describe('per-line palettes', () => {
+    for (const options of [
+      { amigaHam: true, rasterChunk: 'SHAM' },
+      { amigaHam: true, rasterChunk: 'CTBL' },
+      { rasterChunk: 'RAST' }
+    ]) {
+      it(`round-trips ${options.rasterChunk} palettes`, () => {
+        const { imageData, meta } = decode(encode(gradient, null, options));
+        assert.equal(meta.rasterChunk, options.rasterChunk);
+        // `RAST` palettes always cover the 200 lines of an Atari ST screen
+        assert.equal(meta.palette.length, options.rasterChunk === 'RAST' ? 200 : gradient.height);
+        // `RAST` palettes are limited to 512 colors
+        assert.ok(getImageError(imageData, gradient) < (options.rasterChunk === 'RAST' ? 500 : 200));
+        const { imageData: reencoded, meta: reencodedMeta } = decode(encode(imageData, meta.palette, meta));
+        assert.equal(reencodedMeta.rasterChunk, options.rasterChunk);
+        assertImagesEqual(reencoded, imageData);
+      });
+    }
+  });
+});
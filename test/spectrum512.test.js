@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertImagesEqual, createImage, getImageError } from './helpers.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import encode from '../formats/spectrum512/encode.js';
+import decode from '../formats/spectrum512/decode.js';
+import { quantizeImage } from '../formats/spectrum512/quantize.js';
+import { encode as encodeUncompressed } from '../formats/spectrum512/uncompressed.js';
+import { encode as encodeSmooshed } from '../formats/spectrum512/smooshed.js';
+
+const gradient = createImage(320, 199, (x, y) => [x * 255 / 319, y > 100 ? 0 : y * 255 / 198, (x ^ y) & 255, 255]);
+
+const getMeanError = (errors) => errors.reduce((total, error) => total + error) / errors.length;
+
+describe('Spectrum 512', () => {
+  describe('uncompressed', () => {
+    it('reports the color error of the encoded image', () => {
+      const { palettes, bitplaneData, errors } = quantizeImage(gradient);
+      assert.equal(palettes.length, 199);
+      assert.equal(errors.length, 199);
+      const { imageData, meta } = decode(encodeUncompressed(bitplaneData, palettes));
+      assert.equal(meta.compression, 0);
+      assert.ok(Math.abs(getImageError(imageData, gradient) - getMeanError(errors)) < 0.01);
+    });
+
+    it('encodes an image', () => {
+      const buffer = encode(gradient);
+      assert.equal(buffer.byteLength, 51104);
+      const { imageData } = decode(buffer);
+      assert.equal(imageData.width, 320);
+      assert.equal(imageData.height, 199);
+      assert.ok(getImageError(imageData, gradient) < 500);
+    });
+
+    it('stores more accurate colors with 4 bits per channel', () => {
+      const { errors: errors3 } = quantizeImage(gradient);
+      const { errors: errors4 } = quantizeImage(gradient, { bitsPerChannel: 4 });
+      assert.ok(getMeanError(errors4) < getMeanError(errors3));
+    });
+
+    it('keeps colors 0 and 15 black when asked', () => {
+      const { palettes } = quantizeImage(gradient, { reserveBlack: true });
+      for (const palette of palettes) {
+        for (const index of [0, 15, 16, 31, 32, 47]) {
+          const { r, g, b } = palette.getColor(index);
+          assert.equal(r + g + b, 0);
+        }
+      }
+    });
+
+    it('rejects images of the wrong size', () => {
+      assert.throws(() => encode(new ImageData(320, 200)), PlanarCoderError);
+      assert.throws(() => quantizeImage(gradient, { bitsPerChannel: 5 }), PlanarCoderError);
+    });
+  });
+
+  describe('compressed', () => {
+    it('decodes to the same image as an uncompressed file', () => {
+      const { imageData: expected } = decode(encode(gradient));
+      const buffer = encode(gradient, { compression: 1 });
+      assert.ok(buffer.byteLength < 51104);
+      const { imageData, meta } = decode(buffer);
+      assert.equal(meta.compression, 1);
+      assertImagesEqual(imageData, expected);
+    });
+  });
+
+  describe('smooshed', () => {
+    for (const compression of [2, 3]) {
+      it(`decodes compression ${compression} to the same image as an uncompressed file`, () => {
+        const { palettes, bitplaneData } = quantizeImage(gradient, { reserveBlack: true });
+        const { imageData: expected } = decode(encodeUncompressed(bitplaneData, palettes));
+        const buffer = encode(gradient, { compression });
+        assert.ok(buffer.byteLength < 51104);
+        const { imageData, meta } = decode(buffer);
+        assert.ok(meta.compression === 2 || meta.compression === 3);
+        assertImagesEqual(imageData, expected);
+      });
+    }
+
+    it('rejects palettes it can\'t store', () => {
+      assert.throws(() => encode(gradient, { compression: 2, bitsPerChannel: 4 }), PlanarCoderError);
+      const { palettes, bitplaneData } = quantizeImage(gradient);
+      assert.throws(() => encodeSmooshed(bitplaneData, palettes), PlanarCoderError);
+    });
+  });
+});
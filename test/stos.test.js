@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createAtariStPalette,
+  createIndexedImage,
+  patterns,
+  ATARI_ST_RESOLUTIONS
+} from './helpers.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import encode from '../formats/stos/encode.js';
+import decode from '../formats/stos/decode.js';
+
+describe('STOS packed screen', () => {
+  ATARI_ST_RESOLUTIONS.forEach(([width, height, colors], resolution) => {
+    for (const [name, pattern] of Object.entries(patterns)) {
+      it(`round-trips a ${width}x${height} ${name} image`, () => {
+        const palette = createAtariStPalette(colors);
+        const imageData = createIndexedImage(width, height, palette, pattern);
+        const { imageData: decoded, meta } = decode(encode(imageData, palette));
+        assert.equal(meta.resolution, resolution);
+        assertImagesEqual(decoded, imageData);
+      });
+    }
+  });
+
+  it('compresses flat images', () => {
+    const palette = createAtariStPalette(16);
+    const imageData = createIndexedImage(320, 200, palette, patterns.flat);
+    assert.ok(encode(imageData, palette).byteLength < 1000);
+  });
+
+  it('rejects unsupported images', () => {
+    assert.throws(() => encode(new ImageData(320, 100), createAtariStPalette(16)), PlanarCoderError);
+    assert.throws(() => encode(new ImageData(640, 200), createAtariStPalette(16)), PlanarCoderError);
+  });
+});
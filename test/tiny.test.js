@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertImagesEqual,
+  createAtariStPalette,
+  createIndexedImage,
+  patterns,
+  ATARI_ST_RESOLUTIONS
+} from './helpers.js';
+import PlanarCoderError from '../lib/PlanarCoderError.js';
+import encode from '../formats/tiny/encode.js';
+import decode from '../formats/tiny/decode.js';
+
+describe('Tiny', () => {
+  ATARI_ST_RESOLUTIONS.forEach(([width, height, colors], resolution) => {
+    for (const [name, pattern] of Object.entries(patterns)) {
+      it(`round-trips a ${width}x${height} ${name} image`, () => {
+        const palette = createAtariStPalette(colors);
+        const imageData = createIndexedImage(width, height, palette, pattern);
+        const { imageData: decoded, meta } = decode(encode(imageData, palette));
+        assert.equal(meta.resolution, resolution);
+        assertImagesEqual(decoded, imageData);
+      });
+    }
+  });
+
+  it('uses long copies for noisy images', () => {
+    const palette = createAtariStPalette(16);
+    const imageData = createIndexedImage(320, 200, palette, patterns.noise);
+    const buffer = encode(imageData, palette);
+    // 1 resolution byte, 32 palette bytes, 4 length bytes, 3 control bytes and
+    // 32000 data bytes.
+    assert.equal(buffer.byteLength, 32040);
+    assertImagesEqual(decode(buffer).imageData, imageData);
+  });
+
+  it('round-trips color animation', () => {
+    const palette = createAtariStPalette(16);
+    const imageData = createIndexedImage(320, 200, palette, patterns.blocks);
+    const colorAnimation = {
+      start: 2,
+      end: 9,
+      direction: -1,
+      delay: 5,
+      iterations: 300
+    };
+    const { imageData: decoded, meta } = decode(encode(imageData, palette, { colorAnimation }));
+    assertImagesEqual(decoded, imageData);
+    assert.equal(meta.resolution, 0);
+    assert.deepEqual(meta.colorAnimation, colorAnimation);
+    assert.deepEqual(meta.colorCycles, [{
+      start: 2,
+      end: 9,
+      rate: 12,
+      direction: -1,
+      active: true
+    }]);
+  });
+
+  it('rejects unsupported dimensions', () => {
+    const palette = createAtariStPalette(16);
+    assert.throws(() => encode(new ImageData(320, 100), palette), PlanarCoderError);
+  });
+});
@@ -2,7 +2,14 @@
 import { 
   ENCODING_FORMAT_CONTIGUOUS,
   ENCODING_FORMAT_LINE,
-  ENCODING_FORMAT_WORD
+  ENCODING_FORMAT_WORD,
+  IMAGE_FORMAT_IFF,
+  IMAGE_FORMAT_DEGAS,
+  IMAGE_FORMAT_NEOCHROME,
+  IMAGE_FORMAT_CRACKART,
+  IMAGE_FORMAT_TINY,
+  IMAGE_FORMAT_SPECTRUM512,
+  IMAGE_FORMAT_STOS
 } from './consts.js';
 
 /**
@@ -27,5 +34,53 @@ import {
  * @typedef {(imageData:ImageData,palette:IndexedPalette)=>ArrayBuffer} PlanarImageEncoder
  */
 
+/**
+ * @typedef {IMAGE_FORMAT_IFF|IMAGE_FORMAT_DEGAS|IMAGE_FORMAT_NEOCHROME|IMAGE_FORMAT_CRACKART|IMAGE_FORMAT_TINY|IMAGE_FORMAT_SPECTRUM512|IMAGE_FORMAT_STOS} ImageFormat
+ */
+
+/**
+ * @typedef ImageFormatDetectionResult
+ * @property {ImageFormat} format The detected image format
+ * @property {number} confidence How confident the detection is, from `0` (not at all) to `1` (certain)
+ */
+
+/**
+ * @typedef ColorCycle
+ * @property {number} start The first palette index of the range
+ * @property {number} end The last palette index of the range
+ * @property {number} rate The number of steps per second
+ * @property {number} [direction=1] The direction of the rotation. `1` moves colors to higher indexes, `-1` moves them to lower indexes
+ * @property {boolean} [active=true] Indicates if the range is being cycled
+ */
+
+/**
+ * @typedef IndexedImage
+ * @property {number} width The width of the image
+ * @property {number} height The height of the image
+ * @property {Uint8Array} data The palette index of each pixel
+ */
+
+/**
+ * @typedef ColorCycler
+ * @property {(time: number) => IndexedPalette} getPalette Returns the cycled palette at a time, in milliseconds
+ * @property {(time: number, imageData?: ImageData) => ImageData} render Renders the image at a time, in milliseconds, optionally into an existing `ImageData` object
+ */
+
+/**
+ * @typedef DecodedImage
+ * @property {ImageData} imageData The decoded image
+ * @property {object} [meta] The image metadata
+ */
+
+/**
+ * @typedef PixelAspectRatio
+ * @property {number} x The relative width of a pixel
+ * @property {number} y The relative height of a pixel
+ */
+
+/**
+ * @typedef AspectRatioCorrectionOptions
+ * @property {boolean} [filter=false] Scale by the exact pixel aspect ratio using bilinear filtering, rather than repeating lines or columns a whole number of times
+ */
 
 export default null;